@@ -0,0 +1,32 @@
+/**
+ * Helpers shared by the /api/admin routes.
+ *
+ * Requests authenticate with "Authorization: Bearer <ADMIN_SECRET>";
+ * without ADMIN_SECRET the NEWSLETTER_SECRET is accepted instead.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// Subscriber CSV columns, for export and import; tags are ";"-separated
+export const CSV_COLUMNS = ['email', 'status', 'subscribedAt', 'language', 'frequency', 'tags'];
+
+export function isAdmin(req) {
+    const secret = process.env.ADMIN_SECRET || process.env.NEWSLETTER_SECRET;
+    if (!secret) return false;
+    // Compare digests so the check takes the same time whatever was sent
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(req.headers['authorization'] || ''), digest(`Bearer ${secret}`));
+}
+
+/**
+ * Parses a from/to query value: a date ("2026-10-01") or full ISO timestamp.
+ * A bare date as the end of a range covers that whole day. Returns a
+ * timestamp in ms, undefined when absent, or NaN when malformed.
+ */
+export function parseDateParam(value, { end = false } = {}) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string') return NaN;
+    const time = Date.parse(value);
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return dateOnly && end ? time + 24 * 60 * 60 * 1000 : time;
+}
@@ -0,0 +1,71 @@
+/**
+ * RFC 4180 CSV for the subscriber admin export and import.
+ *
+ * Values are subscriber-supplied (an address like "=HYPERLINK(...)@x.y" is
+ * valid), so cells starting with a character a spreadsheet would read as a
+ * formula (= + - @ tab CR) are written with a leading "'", which parseCsv
+ * drops again so exports re-import unchanged.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const GUARDED_FORMULA = /^'[=+\-@\t\r]/;
+
+function cell(value) {
+    let str = value == null ? '' : String(value);
+    if (FORMULA_START.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function unguard(field) {
+    return GUARDED_FORMULA.test(field) ? field.slice(1) : field;
+}
+
+// Rows (arrays of values) to CSV text, CRLF line endings
+export function toCsv(rows) {
+    return rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * CSV text to rows of strings. Handles quoted fields with embedded commas,
+ * quotes and newlines, CRLF or LF endings and a leading BOM (spreadsheet
+ * exports). A trailing newline doesn't add an empty row.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(unguard(field));
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(unguard(field));
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) {
+        row.push(unguard(field));
+        rows.push(row);
+    }
+    return rows;
+}
@@ -0,0 +1,159 @@
+/**
+ * Per-(slug, email) newsletter delivery log, so a send can be resumed or
+ * re-run without mailing anyone twice.
+ *
+ * DELIVERY_LOG selects the backend (defaults to SUBSCRIBER_STORE):
+ *   notion  Notion database NOTION_DELIVERIES_DB with properties
+ *           Key (title, "slug email"), Slug, Email, Error, Message Id (text),
+ *           Status (select), Sent At (date) and Events (multi-select)
+ *   file    JSON file at DELIVERY_LOG_FILE (default .data/deliveries.json)
+ *
+ * Entries are { email, status, at, error, messageId, events } where status is
+ * "sending" (recorded before the email is handed to the transport), "sent"
+ * or "failed", messageId is the transport's id for the email and
+ * events lists what the provider has since reported for it ("delivered",
+ * "bounced", "complained", "opened"; see /api/email-events).
+ */
+
+import path from 'path';
+import { notion, queryAll } from './notion.js';
+import { jsonFile } from './json-file.js';
+
+// ── Notion ────────────────────────────────────────────────────────────
+function notionLog({ databaseId }) {
+    // "slug email" -> page id, from list() and record(), so updating an entry
+    // this instance has seen costs one request instead of a query plus one
+    const pageIds = new Map();
+    const text = value => ({ rich_text: value ? [{ text: { content: String(value).slice(0, 2000) } }] : [] });
+
+    function fromPage(page) {
+        return {
+            email: page.properties?.Email?.rich_text?.[0]?.text?.content || '',
+            status: page.properties?.Status?.select?.name || '',
+            at: page.properties?.['Sent At']?.date?.start || null,
+            error: page.properties?.Error?.rich_text?.[0]?.text?.content || null,
+            messageId: page.properties?.['Message Id']?.rich_text?.[0]?.text?.content || null,
+            events: (page.properties?.Events?.multi_select || []).map(option => option.name),
+        };
+    }
+
+    async function findPage(filter) {
+        const data = await notion(`/databases/${databaseId}/query`, 'POST', { filter, page_size: 1 });
+        return data.results[0] || null;
+    }
+
+    return {
+        async list(slug) {
+            const pages = await queryAll(databaseId, {
+                filter: { property: 'Slug', rich_text: { equals: slug } },
+            });
+            return pages.map(page => {
+                const entry = fromPage(page);
+                pageIds.set(`${slug} ${entry.email}`, page.id);
+                return entry;
+            });
+        },
+
+        async record(slug, email, { status, error = null, messageId = null }) {
+            const key = `${slug} ${email}`;
+            const properties = {
+                Status: { select: { name: status } },
+                'Sent At': { date: { start: new Date().toISOString() } },
+                Error: text(error),
+                'Message Id': text(messageId),
+            };
+            const pageId = pageIds.get(key) || (await findPage({ property: 'Key', title: { equals: key } }))?.id;
+            if (pageId) {
+                await notion(`/pages/${pageId}`, 'PATCH', { properties });
+            } else {
+                const page = await notion('/pages', 'POST', {
+                    parent: { database_id: databaseId },
+                    properties: {
+                        Key: { title: [{ text: { content: key } }] },
+                        Slug: text(slug),
+                        Email: text(email),
+                        ...properties,
+                    },
+                });
+                pageIds.set(key, page.id);
+            }
+        },
+
+        async findMessage(messageId) {
+            const page = await findPage({ property: 'Message Id', rich_text: { equals: messageId } });
+            return page ? { slug: page.properties?.Slug?.rich_text?.[0]?.text?.content || '', ...fromPage(page) } : null;
+        },
+
+        async addEvent(slug, email, event) {
+            const page = await findPage({ property: 'Key', title: { equals: `${slug} ${email}` } });
+            if (!page) return;
+            const events = fromPage(page).events;
+            if (events.includes(event)) return;
+            await notion(`/pages/${page.id}`, 'PATCH', {
+                properties: { Events: { multi_select: [...events, event].map(name => ({ name })) } },
+            });
+        },
+    };
+}
+
+// ── Local JSON file ───────────────────────────────────────────────────
+function fileLog({ file }) {
+    const db = jsonFile(file, {});
+
+    return {
+        async list(slug) {
+            const entries = (await db.read())[slug] || {};
+            return Object.entries(entries).map(([email, entry]) => ({ email, messageId: null, events: [], ...entry }));
+        },
+
+        record(slug, email, { status, error = null, messageId = null }) {
+            return db.update(data => {
+                data[slug] = data[slug] || {};
+                const events = data[slug][email]?.events || [];
+                data[slug][email] = { status, at: new Date().toISOString(), error, messageId, events };
+            });
+        },
+
+        async findMessage(messageId) {
+            for (const [slug, entries] of Object.entries(await db.read())) {
+                for (const [email, entry] of Object.entries(entries)) {
+                    if (entry.messageId === messageId) return { slug, email, ...entry };
+                }
+            }
+            return null;
+        },
+
+        addEvent(slug, email, event) {
+            return db.update(data => {
+                const entry = data[slug]?.[email];
+                if (!entry) return;
+                entry.events = entry.events || [];
+                if (!entry.events.includes(event)) entry.events.push(event);
+            });
+        },
+    };
+}
+
+// ── Selection ─────────────────────────────────────────────────────────
+let log = null;
+
+export function deliveryLog() {
+    if (log) return log;
+    const kind = process.env.DELIVERY_LOG || process.env.SUBSCRIBER_STORE || 'notion';
+    if (kind === 'notion') {
+        log = notionLog({ databaseId: process.env.NOTION_DELIVERIES_DB });
+    } else if (kind === 'file') {
+        log = fileLog({ file: path.resolve(process.env.DELIVERY_LOG_FILE || '.data/deliveries.json') });
+    } else {
+        throw new Error(`Unknown DELIVERY_LOG "${kind}" (expected "notion" or "file")`);
+    }
+    return log;
+}
+
+// Emails already delivered for a slug. An entry left "sending" (the run
+// ended before its outcome was recorded) may have gone out, so it counts
+// too: better to miss one than to mail someone twice.
+export async function deliveredTo(slug) {
+    const entries = await deliveryLog().list(slug);
+    return new Set(entries.filter(e => e.status === 'sent' || e.status === 'sending').map(e => e.email));
+}
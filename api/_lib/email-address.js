@@ -0,0 +1,13 @@
+/**
+ * Email address normalization shared by every endpoint that takes an address
+ * (subscribe, confirm, unsubscribe, preferences, admin import).
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Trimmed and lowercased, or null if it isn't a plausible address
+export function normalizeEmail(raw) {
+    if (typeof raw !== 'string') return null;
+    const email = raw.trim().toLowerCase();
+    return email.length <= 254 && EMAIL_PATTERN.test(email) ? email : null;
+}
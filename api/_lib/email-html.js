@@ -0,0 +1,175 @@
+/**
+ * Turning site HTML into something email clients render: article bodies get
+ * absolute URLs and inline styles (no <style> or classes survive Gmail),
+ * their images travel with the email as inline (cid:) attachments, and
+ * every email gets a text/plain alternative generated from its HTML.
+ */
+
+import path from 'path';
+import article from '../../scripts/lib/article.js';
+
+const { decodeEntities } = article;
+
+const MONO = "SFMono-Regular,Menlo,Consolas,'Liberation Mono',monospace";
+
+// Inline styles for the dark newsletter theme, by tag
+const STYLES = {
+    p: 'font-size:16px;color:#d4d0c8;line-height:1.7;margin:0 0 20px;',
+    h2: 'font-size:22px;color:#f0ede6;line-height:1.3;font-weight:700;margin:36px 0 14px;',
+    h3: 'font-size:18px;color:#f0ede6;line-height:1.4;font-weight:600;margin:28px 0 12px;',
+    h4: 'font-size:16px;color:#f0ede6;line-height:1.4;font-weight:600;margin:24px 0 10px;',
+    a: 'color:#c9a84c;text-decoration:underline;',
+    strong: 'color:#f0ede6;font-weight:600;',
+    blockquote: 'margin:0 0 20px;padding:4px 0 4px 16px;border-left:3px solid #c9a84c;color:#999;font-style:italic;',
+    ul: 'margin:0 0 20px;padding-left:24px;font-size:16px;color:#d4d0c8;line-height:1.7;',
+    ol: 'margin:0 0 20px;padding-left:24px;font-size:16px;color:#d4d0c8;line-height:1.7;',
+    li: 'margin:0 0 8px;',
+    pre: 'background:#141414;border:1px solid #222;border-radius:4px;padding:16px;margin:0 0 20px;font-size:13px;line-height:1.5;color:#e0ddd6;white-space:pre-wrap;word-break:break-word;',
+    code: `font-family:${MONO};font-size:14px;background:#1a1a1a;color:#e0ddd6;padding:1px 5px;border-radius:3px;`,
+    table: 'width:100%;border-collapse:collapse;margin:0 0 20px;font-size:14px;',
+    th: 'text-align:left;padding:8px 10px;border-bottom:1px solid #333;color:#f0ede6;',
+    td: 'padding:8px 10px;border-bottom:1px solid #222;color:#d4d0c8;vertical-align:top;',
+    img: 'display:block;max-width:100%;height:auto;border:0;margin:0 0 20px;',
+    hr: 'border:0;border-top:1px solid #222;margin:32px 0;',
+    figure: 'margin:0 0 20px;',
+    figcaption: 'font-size:13px;color:#777;margin-top:8px;',
+};
+const PRE_CODE_STYLE = `font-family:${MONO};font-size:13px;`;
+
+// Page chrome the email template already provides (title, date, subtitle)
+const ARTICLE_CHROME = [
+    /<div class="article-meta">[\s\S]*?<\/div>/g,
+    /<h1 class="article-title">[\s\S]*?<\/h1>/g,
+    /<p class="article-subtitle">[\s\S]*?<\/p>/g,
+    /<div class="article-rule"><\/div>/g,
+    /<div class="article-tags">[\s\S]*?<\/div>/g,
+    /<div class="next-post">[\s\S]*?<\/div>/g,
+    /<!--[\s\S]*?-->/g,
+];
+
+// Images bigger than this stay linked instead of attached
+const MAX_INLINE_IMAGE_BYTES = 1024 * 1024;
+
+// An href/src attribute value as an absolute URL, or null if it isn't one
+function resolveUrl(value, baseUrl) {
+    try {
+        return new URL(decodeEntities(value), baseUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+function attr(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Loads the images the given article bodies show so emails can carry them
+ * inline. Resolves to a Map of absolute URL -> attachment
+ * { filename, content (base64), contentType, cid }, which emailifyArticle
+ * takes to point each <img> at its attachment. Images that fail to load,
+ * aren't images or are too big are left out and stay linked.
+ */
+export async function fetchInlineImages(htmls, baseUrl) {
+    const urls = new Set();
+    for (const html of htmls) {
+        for (const [, src] of (html || '').matchAll(/<img\b[^>]*?\ssrc="([^"]*)"/gi)) {
+            const url = resolveUrl(src, baseUrl);
+            if (url && /^https?:/.test(url)) urls.add(url);
+        }
+    }
+
+    const images = new Map();
+    for (const url of urls) {
+        try {
+            const res = await fetch(url);
+            const contentType = (res.headers.get('content-type') || '').split(';')[0].trim();
+            if (!res.ok || !contentType.startsWith('image/')) continue;
+            const content = Buffer.from(await res.arrayBuffer());
+            if (content.length > MAX_INLINE_IMAGE_BYTES) continue;
+            const n = images.size + 1;
+            images.set(url, {
+                filename: path.posix.basename(new URL(url).pathname) || `image-${n}`,
+                content: content.toString('base64'),
+                contentType,
+                cid: `image-${n}@mkyang.ai`,
+            });
+        } catch (err) {
+            console.error(`Inline image ${url} not loaded:`, err.message);
+        }
+    }
+    return images;
+}
+
+/**
+ * Article HTML (as extracted for RSS) -> email-safe HTML: chrome removed,
+ * layout divs unwrapped, section dividers as <hr>, every href/src absolute
+ * against baseUrl and every element styled inline. Images found in `images`
+ * (from fetchInlineImages) point at their attachment instead.
+ */
+export function emailifyArticle(html, baseUrl, images = new Map()) {
+    let out = ARTICLE_CHROME.reduce((s, re) => s.replace(re, ''), html);
+    out = out
+        .replace(/<div class="section-divider"><\/div>/g, '<hr>')
+        .replace(/<\/?div\b[^>]*>/g, '');
+
+    let inPre = false;
+    out = out.replace(/<(\/?)([a-z][a-z0-9]*)\b([^>]*?)(\/?)>/gi, (tag, close, name, attrs, selfClose) => {
+        const lower = name.toLowerCase();
+        if (lower === 'pre') inPre = !close;
+        if (close) return `</${lower}>`;
+
+        const kept = [];
+        for (const [, key, value] of attrs.matchAll(/([a-z-]+)="([^"]*)"/gi)) {
+            const k = key.toLowerCase();
+            if (k === 'href' || k === 'src') {
+                const url = resolveUrl(value, baseUrl);
+                const image = lower === 'img' && k === 'src' && images.get(url);
+                kept.push(`${k}="${image ? `cid:${image.cid}` : url ? attr(url) : value}"`);
+            }
+            else if (['alt', 'title', 'width', 'height', 'colspan', 'rowspan', 'target', 'rel'].includes(k)) kept.push(`${k}="${value}"`);
+        }
+        const style = lower === 'code' && inPre ? PRE_CODE_STYLE : STYLES[lower];
+        if (style) kept.push(`style="${style}"`);
+        return `<${lower}${kept.length ? ' ' + kept.join(' ') : ''}${selfClose ? ' /' : ''}>`;
+    });
+
+    return out.replace(/\n\s*\n\s*\n/g, '\n\n').trim();
+}
+
+/**
+ * text/plain alternative for an email's HTML: links become "text (url)",
+ * lists get "- " bullets, block elements are separated by blank lines and
+ * <pre> blocks keep their formatting.
+ */
+export function htmlToPlainText(html) {
+    const blocks = [];
+    let text = html
+        .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (_, body) => {
+            blocks.push(decodeEntities(body.replace(/<[^>]+>/g, '')).replace(/\n+$/, ''));
+            return `\n\n\u0000${blocks.length - 1}\u0000\n\n`;
+        })
+        .replace(/<a\b[^>]*\bhref="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, inner) => {
+            const label = inner.replace(/<[^>]+>/g, '').trim();
+            const url = decodeEntities(href);
+            return !label || decodeEntities(label) === url ? url : `${label} (${url})`;
+        })
+        .replace(/<\/span>/gi, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/(?:td|th)>/gi, '  ')
+        .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+        .replace(/<\/?(?:p|div|h[1-6]|ul|ol|blockquote|table|tr|figure|figcaption)\b[^>]*>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '');
+
+    text = decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return text.replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[Number(i)]) + '\n';
+}
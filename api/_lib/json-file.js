@@ -0,0 +1,48 @@
+/**
+ * JSON file persistence for the local (file) store backends.
+ * Writes are atomic (temp file + rename) and serialized within the process.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function jsonFile(file, empty) {
+    let queue = Promise.resolve();
+
+    async function load() {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return structuredClone(empty);
+            throw err;
+        }
+    }
+
+    async function save(data) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+        await fs.rename(tmp, file);
+    }
+
+    return {
+        file,
+
+        async read() {
+            await queue;
+            return load();
+        },
+
+        // fn mutates the loaded data in place; its return value is passed through
+        update(fn) {
+            const run = queue.then(async () => {
+                const data = await load();
+                const result = fn(data);
+                await save(data);
+                return result;
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+    };
+}
@@ -0,0 +1,318 @@
+/**
+ * Newsletter rendering shared by /api/send-newsletter and
+ * scripts/preview-newsletter.js: post metadata, unsubscribe links and the
+ * email templates.
+ *
+ * Formats:
+ *   teaser  title, description and a "Read Post" button (default)
+ *   full    the whole article body, rewritten for email clients, with its
+ *           images attached inline
+ *   digest  several posts from a week or month (see digestPeriod)
+ * Every message carries an HTML and a generated text/plain part, and is
+ * rendered in the recipient's language: subscribers who chose "zh" get the
+ * Chinese side of bilingual posts and a Chinese template.
+ */
+
+import article from '../../scripts/lib/article.js';
+import postMeta from '../../scripts/lib/meta.js';
+import { emailifyArticle, htmlToPlainText } from './email-html.js';
+import { preferencesUrl } from './preferences.js';
+import { signToken } from './tokens.js';
+
+const { htmlToText, extractArticle } = article;
+const { parseDate } = postMeta;
+
+export const SITE_URL = 'https://mkyang.ai';
+export const FROM = 'Michael Yang <blog@mkyang.ai>';
+export const FORMATS = ['teaser', 'full'];
+export const DIGEST_KINDS = ['weekly', 'monthly'];
+
+// Template copy by subscriber language
+const STRINGS = {
+    en: {
+        locale: 'en-US',
+        colon: ': ',
+        newPost: 'New Post',
+        readPost: 'Read Post',
+        readOnSite: 'Read on mkyang.ai',
+        readMore: 'Read post &rarr;',
+        weekly: 'Weekly Digest',
+        monthly: 'Monthly Digest',
+        weekOf: day => `the week of ${day}`,
+        digestHeading: 'New on mkyang.ai',
+        digestSummary: (count, label) => `${count} new post${count === 1 ? '' : 's'} from ${label}.`,
+        reason: link => `You're receiving this because you subscribed at ${link}.`,
+        preferences: 'Preferences',
+        unsubscribe: 'Unsubscribe',
+    },
+    zh: {
+        locale: 'zh-CN',
+        colon: '：',
+        newPost: '新文章',
+        readPost: '阅读全文',
+        readOnSite: '在 mkyang.ai 阅读',
+        readMore: '阅读全文 &rarr;',
+        weekly: '每周精选',
+        monthly: '每月精选',
+        weekOf: day => `${day}起的一周`,
+        digestHeading: 'mkyang.ai 新文章',
+        digestSummary: (count, label) => `${label}共有 ${count} 篇新文章。`,
+        reason: link => `你收到这封邮件，是因为你在 ${link} 订阅了更新。`,
+        preferences: '订阅设置',
+        unsubscribe: '退订',
+    },
+};
+
+// Also the List-Unsubscribe target, so it must accept the RFC 8058 one-click POST
+export function unsubscribeUrl(email) {
+    return `${SITE_URL}/api/unsubscribe?email=${encodeURIComponent(email)}&token=${signToken('unsubscribe', email)}`;
+}
+
+// ── Post metadata ─────────────────────────────────────────────────────
+// { slug, title, description, tags, publishAt, postUrl, content, zh } from a post page, or null.
+// publishAt is the post's date as an ISO time (null if it has none).
+// zh holds the Chinese title, description and content of a bilingual post
+// (title_zh/description_zh, else the zh subtitle), or null.
+// BLOG_META values are HTML text, so they are decoded to plain text here.
+export function parsePost(slug, html) {
+    const metaMatch = html.match(/<!--\s*\nBLOG_META\n([\s\S]*?)\nEND_META\s*\n-->/);
+    if (!metaMatch) return null;
+    const meta = {};
+    for (const line of metaMatch[1].split('\n')) {
+        const idx = line.indexOf(':');
+        if (idx === -1) continue;
+        const key = line.slice(0, idx).trim();
+        const val = line.slice(idx + 1).trim();
+        if (key && val) meta[key] = val;
+    }
+
+    const contentZh = extractArticle(html, 'zh');
+    const subtitleZh = contentZh?.match(/<p class="article-subtitle">([\s\S]*?)<\/p>/);
+
+    return {
+        slug,
+        title: htmlToText(meta.title || 'New Post'),
+        description: htmlToText(meta.description || ''),
+        tags: (meta.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+        publishAt: parseDate(meta.date)?.publishAt || null,
+        postUrl: `${SITE_URL}/blog/${slug}`,
+        content: extractArticle(html, 'en'),
+        zh: contentZh && {
+            title: htmlToText(meta.title_zh || meta.title || 'New Post'),
+            description: htmlToText(meta.description_zh || subtitleZh?.[1] || meta.description || ''),
+            content: contentZh,
+        },
+    };
+}
+
+// A post (or digest item) in the given language: its zh side when it has one
+function localize(post, language) {
+    return language === 'zh' && post.zh ? { ...post, ...post.zh } : post;
+}
+
+// The complete message for one recipient ({ email, language }), ready for
+// emailTransport().send(). `images` (from fetchInlineImages) are attached to
+// a full-format message that shows them.
+export function newsletterMessage(post, { email, language = 'en' }, { subjectPrefix = '', format = 'teaser', images = new Map() } = {}) {
+    const t = STRINGS[language];
+    const localized = localize(post, language);
+    const html = buildEmailHtml({ ...localized, email, format, language, images });
+    return message({
+        to: email,
+        subject: `${subjectPrefix}${t.newPost}${t.colon}${localized.title}`,
+        html,
+        attachments: [...images.values()].filter(image => html.includes(`cid:${image.cid}`)),
+    });
+}
+
+export function digestMessage(digest, { email, language = 'en' }, { subjectPrefix = '' } = {}) {
+    const labels = digestLabels(digest, language);
+    return message({
+        to: email,
+        subject: `${subjectPrefix}${labels.title}`,
+        html: buildDigestHtml({ ...digest, ...labels, email, language }),
+    });
+}
+
+function message({ to, subject, html, attachments = [] }) {
+    return {
+        from: FROM,
+        to,
+        subject,
+        html,
+        text: htmlToPlainText(html),
+        headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl(to)}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+        ...(attachments.length && { attachments }),
+    };
+}
+
+// ── Digest periods ────────────────────────────────────────────────────
+// weekly: an ISO week, Monday to Monday (UTC); monthly: a calendar month.
+// Without an explicit period ("2026-W41" / "2026-09") the last complete one
+// before `now` is used. The key doubles as the delivery-log slug.
+export function digestPeriod(kind, period, now = new Date()) {
+    const day = 24 * 60 * 60 * 1000;
+    if (kind === 'weekly') {
+        let start;
+        if (period) {
+            const m = /^(\d{4})-W(\d{2})$/.exec(period);
+            if (!m || Number(m[2]) < 1 || Number(m[2]) > 53) return null;
+            // ISO week 1 contains January 4th
+            const jan4 = Date.UTC(Number(m[1]), 0, 4);
+            const week1 = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * day;
+            start = new Date(week1 + (Number(m[2]) - 1) * 7 * day);
+        } else {
+            const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+            start = new Date(today - ((now.getUTCDay() + 6) % 7) * day - 7 * day);
+        }
+        const end = new Date(start.getTime() + 7 * day);
+        // The ISO week-numbering year is the year of the week's Thursday
+        const thursday = new Date(start.getTime() + 3 * day);
+        const week = Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / day / 7) + 1;
+        const id = `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+        return { kind, key: `digest-weekly-${id}`, start, end, ...digestLabels({ kind, start }, 'en') };
+    }
+    if (kind === 'monthly') {
+        let year, month;
+        if (period) {
+            const m = /^(\d{4})-(\d{2})$/.exec(period);
+            if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+            [year, month] = [Number(m[1]), Number(m[2]) - 1];
+        } else {
+            year = now.getUTCMonth() === 0 ? now.getUTCFullYear() - 1 : now.getUTCFullYear();
+            month = (now.getUTCMonth() + 11) % 12;
+        }
+        const start = new Date(Date.UTC(year, month, 1));
+        const end = new Date(Date.UTC(year, month + 1, 1));
+        return { kind, key: `digest-monthly-${year}-${String(month + 1).padStart(2, '0')}`, start, end, ...digestLabels({ kind, start }, 'en') };
+    }
+    return null;
+}
+
+// { label, title } of a digest period in a language, e.g. "the week of
+// October 12, 2026" / "Weekly Digest: October 12, 2026"
+function digestLabels({ kind, start }, language) {
+    const t = STRINGS[language];
+    const when = kind === 'weekly'
+        ? formatDay(start, language)
+        : start.toLocaleDateString(t.locale, { year: 'numeric', month: 'long', timeZone: 'UTC' });
+    return {
+        label: kind === 'weekly' ? t.weekOf(when) : when,
+        title: `${t[kind]}${t.colon}${when}`,
+    };
+}
+
+// Posts from a JSON Feed (feed.json) published within a digest period, oldest first.
+// Bilingual items carry their Chinese title and summary in a "_zh" extension.
+export function digestPosts(feed, { start, end }) {
+    return (feed.items || [])
+        .filter(item => {
+            const published = new Date(item.date_published);
+            return published >= start && published < end;
+        })
+        .sort((a, b) => a.date_published.localeCompare(b.date_published))
+        .map(item => ({
+            title: htmlToText(item.title || ''),
+            description: htmlToText(item.summary || ''),
+            postUrl: item.url,
+            date: item.date_published.slice(0, 10),
+            tags: item.tags || [],
+            zh: item._zh ? { title: htmlToText(item._zh.title || ''), description: htmlToText(item._zh.summary || '') } : null,
+        }));
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────
+function esc(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatDay(date, language = 'en') {
+    return date.toLocaleDateString(STRINGS[language].locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+function tagBadges(tags) {
+    return tags.map(t =>
+        `<span style="display:inline-block;font-size:11px;color:#999;border:1px solid #333;padding:2px 8px;border-radius:3px;margin-right:6px;letter-spacing:0.5px;text-transform:uppercase;">${esc(t)}</span>`
+    ).join('');
+}
+
+function button(href, label) {
+    return `<a href="${href}" style="display:inline-block;background:#c9a84c;color:#0a0a0a;text-decoration:none;padding:12px 28px;font-size:14px;font-weight:500;border-radius:4px;letter-spacing:0.03em;">${label}</a>`;
+}
+
+// ── Email templates ───────────────────────────────────────────────────
+function layout({ content, email, language }) {
+    const t = STRINGS[language];
+    return `<!DOCTYPE html>
+<html lang="${language === 'zh' ? 'zh-CN' : 'en'}">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"></head>
+<body style="margin:0;padding:0;background:#0a0a0a;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+<div style="max-width:600px;margin:0 auto;padding:40px 24px;">
+
+  <!-- Header -->
+  <div style="margin-bottom:32px;">
+    <a href="${SITE_URL}" style="color:#c9a84c;text-decoration:none;font-size:14px;letter-spacing:0.1em;">mkyang.ai</a>
+  </div>
+
+  <!-- Content -->
+  <div style="border-top:1px solid #222;padding-top:32px;">
+${content}
+  </div>
+
+  <!-- Footer -->
+  <div style="border-top:1px solid #222;margin-top:48px;padding-top:20px;">
+    <p style="font-size:12px;color:#555;margin:0;line-height:1.6;">
+      ${t.reason(`<a href="${SITE_URL}/blog" style="color:#c9a84c;text-decoration:none;">mkyang.ai/blog</a>`)}<br>
+      <a href="${preferencesUrl(email)}" style="color:#555;text-decoration:underline;">${t.preferences}</a> &middot;
+      <a href="${unsubscribeUrl(email)}" style="color:#555;text-decoration:underline;">${t.unsubscribe}</a>
+    </p>
+  </div>
+
+</div>
+</body>
+</html>`;
+}
+
+export function buildEmailHtml({ title, description, postUrl, tags, content, email, format = 'teaser', language = 'en', images }) {
+    const t = STRINGS[language];
+    const badges = tagBadges(tags);
+    const header = `    <p style="font-size:12px;color:#666;letter-spacing:0.15em;text-transform:uppercase;margin:0 0 16px;">${t.newPost}</p>
+    <h1 style="font-size:28px;color:#f0ede6;margin:0 0 12px;line-height:1.3;font-weight:700;">${esc(title)}</h1>
+    <p style="font-size:16px;color:#999;line-height:1.6;margin:0 0 20px;">${esc(description)}</p>
+    ${badges ? `<div style="margin-bottom:24px;">${badges}</div>` : ''}`;
+
+    // Posts without an extractable article body fall back to the teaser
+    if (format === 'full' && content) {
+        return layout({ email, language, content: `${header}
+    <div style="border-top:1px solid #222;padding-top:28px;">
+${emailifyArticle(content, postUrl, images)}
+    </div>
+    <div style="margin-top:16px;">${button(postUrl, t.readOnSite)}</div>` });
+    }
+
+    return layout({ email, language, content: `${header}
+    ${button(postUrl, t.readPost)}` });
+}
+
+export function buildDigestHtml({ kind, label, posts, email, language = 'en' }) {
+    const t = STRINGS[language];
+    const items = posts.map(post => {
+        const p = localize(post, language);
+        const badges = tagBadges(p.tags);
+        return `    <div style="margin:0 0 32px;">
+      <p style="font-size:12px;color:#666;letter-spacing:0.1em;text-transform:uppercase;margin:0 0 8px;">${esc(formatDay(new Date(p.date + 'T00:00:00Z'), language))}</p>
+      <h2 style="font-size:22px;margin:0 0 8px;line-height:1.3;font-weight:700;"><a href="${p.postUrl}" style="color:#f0ede6;text-decoration:none;">${esc(p.title)}</a></h2>
+      <p style="font-size:15px;color:#999;line-height:1.6;margin:0 0 12px;">${esc(p.description)}</p>
+      ${badges ? `<div style="margin-bottom:12px;">${badges}</div>` : ''}
+      <a href="${p.postUrl}" style="color:#c9a84c;text-decoration:none;font-size:14px;">${t.readMore}</a>
+    </div>`;
+    }).join('\n');
+
+    return layout({ email, language, content: `    <p style="font-size:12px;color:#666;letter-spacing:0.15em;text-transform:uppercase;margin:0 0 16px;">${t[kind]}</p>
+    <h1 style="font-size:28px;color:#f0ede6;margin:0 0 12px;line-height:1.3;font-weight:700;">${t.digestHeading}</h1>
+    <p style="font-size:16px;color:#999;line-height:1.6;margin:0 0 32px;">${esc(t.digestSummary(posts.length, label))}</p>
+${items}` });
+}
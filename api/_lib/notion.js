@@ -0,0 +1,53 @@
+/**
+ * Minimal Notion REST client shared by the Notion-backed stores.
+ *
+ * Notion allows about 3 requests a second per integration and answers 429
+ * beyond that; those are retried with exponential backoff, honouring
+ * Retry-After, up to MAX_ATTEMPTS. A 429 means the request was not carried
+ * out, so retrying never applies a write twice.
+ */
+
+const NOTION_API = 'https://api.notion.com/v1';
+const MAX_ATTEMPTS = 5;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function notion(pathname, method, body) {
+    for (let attempt = 0; ; attempt++) {
+        const res = await fetch(`${NOTION_API}${pathname}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
+                'Notion-Version': '2022-06-28',
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+        if (res.status === 429 && attempt + 1 < MAX_ATTEMPTS) {
+            const retryAfterMs = (Number(res.headers.get('retry-after')) || 0) * 1000;
+            await sleep(Math.min(Math.max(500 * 2 ** attempt, retryAfterMs), 30 * 1000));
+            continue;
+        }
+        if (!res.ok) {
+            const err = await res.json().catch(() => ({}));
+            throw new Error(`Notion ${method} ${pathname} failed (${res.status}): ${err.message || 'unknown error'}`);
+        }
+        return res.json();
+    }
+}
+
+// Every page matching a database query, following next_cursor
+export async function queryAll(databaseId, body = {}) {
+    const pages = [];
+    let cursor;
+    do {
+        const data = await notion(`/databases/${databaseId}/query`, 'POST', {
+            ...body,
+            page_size: 100,
+            ...(cursor ? { start_cursor: cursor } : {}),
+        });
+        pages.push(...data.results);
+        cursor = data.has_more ? data.next_cursor : undefined;
+    } while (cursor);
+    return pages;
+}
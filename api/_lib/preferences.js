@@ -0,0 +1,83 @@
+/**
+ * Subscriber preferences shared by /api/subscribe, /api/preferences and
+ * /api/send-newsletter:
+ *   language   "en" or "zh"; bilingual posts go out with title_zh/description_zh
+ *   frequency  "instant" (every post as it is published), "weekly" or "monthly" digest
+ *   tags       tag names to limit posts to; empty means every post
+ */
+
+import meta from '../../scripts/lib/meta.js';
+import { signToken } from './tokens.js';
+
+const { tagSlug } = meta;
+
+const SITE_URL = 'https://mkyang.ai';
+
+export const LANGUAGES = ['en', 'zh'];
+export const FREQUENCIES = ['instant', 'weekly', 'monthly'];
+export const DEFAULT_PREFERENCES = { language: 'en', frequency: 'instant', tags: [] };
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Validates the preference fields present in `input` and returns
+ * { preferences } with only those fields (so they can be merged over stored
+ * values), or { error }. tags may be an array or, from an HTML form with a
+ * single box ticked, one string; blank entries are dropped.
+ */
+export function parsePreferences(input) {
+    const preferences = {};
+
+    if (input.language !== undefined) {
+        if (!LANGUAGES.includes(input.language)) {
+            return { error: `language must be one of: ${LANGUAGES.join(', ')}` };
+        }
+        preferences.language = input.language;
+    }
+
+    if (input.frequency !== undefined) {
+        if (!FREQUENCIES.includes(input.frequency)) {
+            return { error: `frequency must be one of: ${FREQUENCIES.join(', ')}` };
+        }
+        preferences.frequency = input.frequency;
+    }
+
+    if (input.tags !== undefined) {
+        const list = (Array.isArray(input.tags) ? input.tags : [input.tags])
+            .map(t => typeof t === 'string' ? t.trim() : null)
+            .filter(t => t !== '');
+        if (list.length > MAX_TAGS || !list.every(t => t && t.length <= MAX_TAG_LENGTH && tagSlug(t))) {
+            return { error: `tags must be a list of up to ${MAX_TAGS} tag names` };
+        }
+        // One entry per slug, so "Agent Payments" and "agent-payments" collapse
+        const bySlug = new Map();
+        for (const tag of list) {
+            if (!bySlug.has(tagSlug(tag))) bySlug.set(tagSlug(tag), tag);
+        }
+        preferences.tags = [...bySlug.values()];
+    }
+
+    return { preferences };
+}
+
+// Whether a subscriber with these preferences wants a post with these tags
+function wantsTags(preferences, tags) {
+    if (!preferences.tags?.length) return true;
+    const wanted = new Set(preferences.tags.map(tagSlug));
+    return tags.some(t => wanted.has(tagSlug(t)));
+}
+
+// Whether a subscriber gets the email sent when a post with these tags is published
+export function wantsPost(subscriber, tags) {
+    return subscriber.frequency === 'instant' && wantsTags(subscriber, tags);
+}
+
+// The posts of a weekly/monthly digest a subscriber gets; none means no digest
+export function digestPostsFor(subscriber, kind, posts) {
+    return subscriber.frequency === kind ? posts.filter(p => wantsTags(subscriber, p.tags)) : [];
+}
+
+export function preferencesUrl(email) {
+    return `${SITE_URL}/api/preferences?email=${encodeURIComponent(email)}&token=${signToken('preferences', email)}`;
+}
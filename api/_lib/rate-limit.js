@@ -0,0 +1,148 @@
+/**
+ * Sliding-window rate limiting shared by the public API routes.
+ *
+ * RATE_LIMIT_STORE selects the backend (defaults to "redis" when
+ * KV_REST_API_URL is set, else "memory"):
+ *   memory  per-process Map; fine for tests and local runs, but each Vercel
+ *           function instance has its own
+ *   redis   any Redis behind the Upstash REST protocol: Vercel KV / Upstash via
+ *           KV_REST_API_URL + KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_URL +
+ *           UPSTASH_REDIS_REST_TOKEN). Locally, a plain Redis fronted by
+ *           serverless-redis-http stands in for it.
+ *
+ * Each rule is { key, limit, windowMs }: at most `limit` hits per key in any
+ * `windowMs` span (a sliding log, not fixed buckets). Every hit counts, so a
+ * client that keeps hammering stays limited.
+ *
+ * Responses get RateLimit / RateLimit-Policy headers (IETF
+ * draft-ietf-httpapi-ratelimit-headers): the policy lists every rule checked
+ * for the request and RateLimit describes the tightest, plus Retry-After when
+ * blocked. If the store is unreachable requests are let through and the error
+ * is logged.
+ */
+
+import { randomUUID } from 'crypto';
+
+// ── In-memory ─────────────────────────────────────────────────────────
+function memoryStore() {
+    const hits = new Map(); // key -> { log, expiresAt }
+
+    return {
+        // Records a hit at `now`; resolves to { count, oldest } within the window
+        async hit(key, windowMs, now) {
+            if (hits.size > 10000) {
+                for (const [k, entry] of hits) if (entry.expiresAt <= now) hits.delete(k);
+            }
+            const log = (hits.get(key)?.log || []).filter(t => t > now - windowMs);
+            log.push(now);
+            hits.set(key, { log, expiresAt: now + windowMs });
+            return { count: log.length, oldest: log[0] };
+        },
+    };
+}
+
+// ── Redis (Upstash REST) ──────────────────────────────────────────────
+function redisStore({ url, token }) {
+    async function pipeline(commands) {
+        const res = await fetch(`${url.replace(/\/$/, '')}/pipeline`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(commands),
+        });
+        if (!res.ok) throw new Error(`Redis pipeline failed (${res.status})`);
+        const results = await res.json();
+        const failed = results.find(r => r.error);
+        if (failed) throw new Error(`Redis error: ${failed.error}`);
+        return results.map(r => r.result);
+    }
+
+    return {
+        async hit(key, windowMs, now) {
+            const [, , count, oldest] = await pipeline([
+                ['ZREMRANGEBYSCORE', key, '-inf', String(now - windowMs)],
+                ['ZADD', key, String(now), `${now}-${randomUUID()}`],
+                ['ZCARD', key],
+                ['ZRANGE', key, '0', '0', 'WITHSCORES'],
+                ['PEXPIRE', key, String(windowMs)],
+            ]);
+            return { count: Number(count), oldest: Number(oldest?.[1] ?? now) };
+        },
+    };
+}
+
+// ── Selection ─────────────────────────────────────────────────────────
+let store = null;
+
+function rateLimitStore() {
+    if (store) return store;
+    const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+    const kind = process.env.RATE_LIMIT_STORE || (url ? 'redis' : 'memory');
+    if (kind === 'memory') {
+        store = memoryStore();
+    } else if (kind === 'redis') {
+        store = redisStore({ url, token: process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN });
+    } else {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${kind}" (expected "memory" or "redis")`);
+    }
+    return store;
+}
+
+/**
+ * The client address as seen by our own edge. On Vercel x-real-ip and
+ * x-vercel-forwarded-for are set by the platform; a raw x-forwarded-for is
+ * only trusted for its last hop, since anything before it is client-supplied.
+ */
+export function clientIp(req) {
+    const headers = req.headers || {};
+    const forwarded = (headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+    return headers['x-vercel-forwarded-for']?.split(',')[0].trim() ||
+        headers['x-real-ip'] ||
+        forwarded[forwarded.length - 1] ||
+        req.socket?.remoteAddress ||
+        'unknown';
+}
+
+// Rules already counted for a response, so that a later call checking
+// another rule (one that only applies further into the handler) sets headers
+// covering both
+const counted = new WeakMap();
+
+/**
+ * Counts a hit against every rule and sets the rate-limit headers on `res`,
+ * together with the rules of earlier calls for the same response.
+ * Resolves to { limited, retryAfter } (seconds); the caller sends the 429 in
+ * its own response format.
+ */
+export async function rateLimit(res, rules) {
+    const now = Date.now();
+    let states;
+    try {
+        states = await Promise.all(rules.map(async rule => {
+            const { count, oldest } = await rateLimitStore().hit(rule.key, rule.windowMs, now);
+            return {
+                ...rule,
+                remaining: Math.max(0, rule.limit - count),
+                limited: count > rule.limit,
+                reset: Math.max(1, Math.ceil((oldest + rule.windowMs - now) / 1000)),
+            };
+        }));
+    } catch (err) {
+        console.error('Rate limit error:', err.message);
+        return { limited: false, retryAfter: 0 };
+    }
+
+    states = [...(counted.get(res) || []), ...states];
+    counted.set(res, states);
+
+    const blocked = states.filter(s => s.limited).sort((a, b) => b.reset - a.reset);
+    const tightest = blocked[0] || [...states].sort((a, b) => a.remaining - b.remaining || b.reset - a.reset)[0];
+    if (!tightest) return { limited: false, retryAfter: 0 };
+
+    res.setHeader('RateLimit-Policy', states.map(s => `${s.limit};w=${Math.round(s.windowMs / 1000)}`).join(', '));
+    res.setHeader('RateLimit', `limit=${tightest.limit}, remaining=${tightest.remaining}, reset=${tightest.reset}`);
+    if (blocked.length) res.setHeader('Retry-After', String(tightest.reset));
+    return { limited: blocked.length > 0, retryAfter: blocked.length ? tightest.reset : 0 };
+}
@@ -0,0 +1,201 @@
+/**
+ * Subscriber storage shared by the newsletter endpoints.
+ *
+ * SUBSCRIBER_STORE selects the backend:
+ *   notion (default)  Notion database NOTION_SUBSCRIBERS_DB via NOTION_TOKEN
+ *   file              JSON file at SUBSCRIBER_STORE_FILE (default .data/subscribers.json),
+ *                     for running the whole flow locally without Notion
+ *
+ * Both return subscribers as { id, email, status, subscribedAt, language, frequency, tags }
+ * where status is "pending", "active", "expired", "unsubscribed", "bounced" or
+ * "complained" (marked as spam; see /api/email-events),
+ * subscribedAt is an ISO string and the rest are the preferences described in
+ * preferences.js (defaults filled in for records that predate them).
+ * Notion properties: Email (title), Status (select), Subscribed At (date),
+ * Language (select), Frequency (select), Tags (multi-select).
+ *
+ * A pending entry expires with its confirmation link, PENDING_EXPIRY_HOURS
+ * (default 48h) after subscribedAt. expirePending() marks the stale ones
+ * "expired"; listAll() runs it first and /api/send-newsletter on every send,
+ * so they don't sit in the list as pending until someone clicks an old link.
+ * Files under api/_lib are not deployed as functions.
+ */
+
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { notion, queryAll } from './notion.js';
+import { jsonFile } from './json-file.js';
+import { DEFAULT_PREFERENCES } from './preferences.js';
+
+export const STATUSES = ['pending', 'active', 'expired', 'unsubscribed', 'bounced', 'complained'];
+
+export const PENDING_EXPIRY_MS = (Number(process.env.PENDING_EXPIRY_HOURS) || 48) * 60 * 60 * 1000;
+
+// subscribedAt before this means a pending entry has expired
+function pendingCutoff() {
+    return new Date(Date.now() - PENDING_EXPIRY_MS).toISOString();
+}
+
+// ── Notion ────────────────────────────────────────────────────────────
+function notionStore({ databaseId }) {
+    function fromPage(page) {
+        return {
+            id: page.id,
+            email: page.properties?.Email?.title?.[0]?.text?.content || '',
+            status: page.properties?.Status?.select?.name || '',
+            subscribedAt: page.properties?.['Subscribed At']?.date?.start || null,
+            language: page.properties?.Language?.select?.name || DEFAULT_PREFERENCES.language,
+            frequency: page.properties?.Frequency?.select?.name || DEFAULT_PREFERENCES.frequency,
+            tags: (page.properties?.Tags?.multi_select || []).map(option => option.name),
+        };
+    }
+
+    function properties({ status, subscribedAt, language, frequency, tags }) {
+        const props = {};
+        if (status) props.Status = { select: { name: status } };
+        if (subscribedAt) props['Subscribed At'] = { date: { start: subscribedAt } };
+        if (language) props.Language = { select: { name: language } };
+        if (frequency) props.Frequency = { select: { name: frequency } };
+        if (tags) props.Tags = { multi_select: tags.map(name => ({ name })) };
+        return props;
+    }
+
+    return {
+        async find(email) {
+            const data = await notion(`/databases/${databaseId}/query`, 'POST', {
+                filter: { property: 'Email', title: { equals: email } },
+                page_size: 1,
+            });
+            return data.results.length ? fromPage(data.results[0]) : null;
+        },
+
+        async add(email, { status, subscribedAt = new Date().toISOString(), ...preferences }) {
+            const page = await notion('/pages', 'POST', {
+                parent: { database_id: databaseId },
+                properties: {
+                    Email: { title: [{ text: { content: email } }] },
+                    ...properties({ status, subscribedAt, ...DEFAULT_PREFERENCES, ...preferences }),
+                },
+            });
+            return fromPage(page);
+        },
+
+        async setStatus(subscriber, status, { subscribedAt } = {}) {
+            const page = await notion(`/pages/${subscriber.id}`, 'PATCH', {
+                properties: properties({ status, subscribedAt }),
+            });
+            return fromPage(page);
+        },
+
+        async setPreferences(subscriber, preferences) {
+            const page = await notion(`/pages/${subscriber.id}`, 'PATCH', {
+                properties: properties(preferences),
+            });
+            return fromPage(page);
+        },
+
+        async listActive() {
+            const pages = await queryAll(databaseId, {
+                filter: { property: 'Status', select: { equals: 'active' } },
+            });
+            return pages.map(fromPage).filter(s => s.email);
+        },
+
+        async expirePending() {
+            const pages = await queryAll(databaseId, {
+                filter: {
+                    and: [
+                        { property: 'Status', select: { equals: 'pending' } },
+                        { property: 'Subscribed At', date: { before: pendingCutoff() } },
+                    ],
+                },
+            });
+            for (const page of pages) {
+                await notion(`/pages/${page.id}`, 'PATCH', { properties: properties({ status: 'expired' }) });
+            }
+            return pages.length;
+        },
+
+        async listAll() {
+            await this.expirePending();
+            const pages = await queryAll(databaseId);
+            return pages.map(fromPage).filter(s => s.email);
+        },
+    };
+}
+
+// ── Local JSON file ───────────────────────────────────────────────────
+function fileStore({ file }) {
+    const db = jsonFile(file, []);
+    const withDefaults = entry => ({ ...DEFAULT_PREFERENCES, ...entry });
+
+    return {
+        async find(email) {
+            const entry = (await db.read()).find(s => s.email === email);
+            return entry ? withDefaults(entry) : null;
+        },
+
+        add(email, { status, subscribedAt = new Date().toISOString(), ...preferences }) {
+            return db.update(subscribers => {
+                const subscriber = { id: randomUUID(), email, status, subscribedAt, ...DEFAULT_PREFERENCES, ...preferences };
+                subscribers.push(subscriber);
+                return { ...subscriber };
+            });
+        },
+
+        setStatus(subscriber, status, { subscribedAt } = {}) {
+            return db.update(subscribers => {
+                const entry = subscribers.find(s => s.id === subscriber.id);
+                if (!entry) throw new Error(`Subscriber ${subscriber.id} not found in ${file}`);
+                entry.status = status;
+                if (subscribedAt) entry.subscribedAt = subscribedAt;
+                return withDefaults(entry);
+            });
+        },
+
+        setPreferences(subscriber, preferences) {
+            return db.update(subscribers => {
+                const entry = subscribers.find(s => s.id === subscriber.id);
+                if (!entry) throw new Error(`Subscriber ${subscriber.id} not found in ${file}`);
+                Object.assign(entry, preferences);
+                return withDefaults(entry);
+            });
+        },
+
+        async listActive() {
+            return (await db.read()).filter(s => s.status === 'active').map(withDefaults);
+        },
+
+        async expirePending() {
+            const cutoff = pendingCutoff();
+            const stale = s => s.status === 'pending' && s.subscribedAt < cutoff;
+            if (!(await db.read()).some(stale)) return 0;
+            return db.update(subscribers => {
+                const expired = subscribers.filter(stale);
+                for (const entry of expired) entry.status = 'expired';
+                return expired.length;
+            });
+        },
+
+        async listAll() {
+            await this.expirePending();
+            return (await db.read()).map(withDefaults);
+        },
+    };
+}
+
+// ── Selection ─────────────────────────────────────────────────────────
+let store = null;
+
+export function subscriberStore() {
+    if (store) return store;
+    const kind = process.env.SUBSCRIBER_STORE || 'notion';
+    if (kind === 'notion') {
+        store = notionStore({ databaseId: process.env.NOTION_SUBSCRIBERS_DB });
+    } else if (kind === 'file') {
+        store = fileStore({ file: path.resolve(process.env.SUBSCRIBER_STORE_FILE || '.data/subscribers.json') });
+    } else {
+        throw new Error(`Unknown SUBSCRIBER_STORE "${kind}" (expected "notion" or "file")`);
+    }
+    return store;
+}
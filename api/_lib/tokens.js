@@ -0,0 +1,83 @@
+/**
+ * Signed, expiring tokens for the links in subscription emails (confirm,
+ * unsubscribe, preferences, resubscribe).
+ *
+ *   v1.<kid>.<exp>.<sig>
+ *     kid  which key signed it (first 6 chars of the key's SHA-256, base64url)
+ *     exp  expiry as Unix seconds, base 36
+ *     sig  HMAC-SHA256 over version, kid, purpose, email and exp, base64url
+ *
+ * Keys: UNSUBSCRIBE_SECRET signs new tokens; UNSUBSCRIBE_SECRET_PREVIOUS is a
+ * comma-separated list of retired secrets whose tokens still verify. To rotate,
+ * move the old secret into UNSUBSCRIBE_SECRET_PREVIOUS and set a new one, then
+ * drop it once its tokens have expired (TOKEN_TTL_DAYS, default 365).
+ *
+ * Links sent before v1 (16 hex chars, HMAC of the email, no expiry) are still
+ * accepted for unsubscribe and preferences so old newsletters keep working.
+ * Comparisons are constant-time. Without UNSUBSCRIBE_SECRET nothing verifies
+ * and signToken throws.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+const VERSION = 'v1';
+const DEFAULT_TTL_MS = (Number(process.env.TOKEN_TTL_DAYS) || 365) * 24 * 60 * 60 * 1000;
+
+// Pre-v1 tokens: what each purpose signed
+const LEGACY_MESSAGES = {
+    unsubscribe: email => email,
+    preferences: email => `preferences:${email}`,
+};
+
+function keys() {
+    const secrets = [process.env.UNSUBSCRIBE_SECRET, ...(process.env.UNSUBSCRIBE_SECRET_PREVIOUS || '').split(',')]
+        .map(s => (s || '').trim())
+        .filter(Boolean);
+    return secrets.map(secret => ({ secret, kid: createHash('sha256').update(secret).digest('base64url').slice(0, 6) }));
+}
+
+function sign(secret, kid, purpose, email, exp) {
+    return createHmac('sha256', secret)
+        .update([VERSION, kid, purpose, email, exp].join('\n'))
+        .digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+export function hasTokenSecret() {
+    return Boolean(process.env.UNSUBSCRIBE_SECRET?.trim());
+}
+
+// A token for `purpose` and `email`, valid for ttlMs (default TOKEN_TTL_DAYS)
+export function signToken(purpose, email, { ttlMs = DEFAULT_TTL_MS } = {}) {
+    if (!hasTokenSecret()) throw new Error('UNSUBSCRIBE_SECRET is not set');
+    const [key] = keys();
+    const exp = Math.floor((Date.now() + ttlMs) / 1000).toString(36);
+    return [VERSION, key.kid, exp, sign(key.secret, key.kid, purpose, email, exp)].join('.');
+}
+
+/**
+ * Checks a token from a link. Returns { ok, expired }: expired means the
+ * signature was genuine but the token is past its expiry.
+ */
+export function verifyToken(purpose, email, token) {
+    if (typeof token !== 'string' || !hasTokenSecret()) return { ok: false, expired: false };
+
+    if (/^[0-9a-f]{16}$/.test(token) && LEGACY_MESSAGES[purpose]) {
+        const message = LEGACY_MESSAGES[purpose](email);
+        const ok = keys().some(({ secret }) =>
+            safeEqual(token, createHmac('sha256', secret).update(message).digest('hex').slice(0, 16)));
+        return { ok, expired: false };
+    }
+
+    const [version, kid, exp, sig, ...rest] = token.split('.');
+    if (version !== VERSION || rest.length || !exp || !sig) return { ok: false, expired: false };
+    const key = keys().find(k => k.kid === kid);
+    if (!key || !safeEqual(sig, sign(key.secret, kid, purpose, email, exp))) return { ok: false, expired: false };
+    if (parseInt(exp, 36) * 1000 < Date.now()) return { ok: false, expired: true };
+    return { ok: true, expired: false };
+}
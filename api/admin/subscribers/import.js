@@ -0,0 +1,119 @@
+/**
+ * POST /api/admin/subscribers/import
+ * Authorization: Bearer <ADMIN_SECRET>
+ *
+ * Body: { csv: "email,language\na@example.com,zh\n...", status?: "active", dryRun?: true }
+ *
+ * Adds the subscribers in a CSV file. The header row names the columns, any
+ * of: email (required), status, subscribedAt, language, frequency, tags
+ * (";"-separated), so an export from /api/admin/subscribers imports as is.
+ * Without a header row the first column is read as the email. Rows without a
+ * status get `status` (default "active": imported lists are expected to have
+ * opted in already); missing preferences get the defaults.
+ *
+ * Emails go through the same normalization and validation as /api/subscribe.
+ * Nothing existing is changed: addresses already in the store, or repeated in
+ * the file, are reported as duplicates and skipped, so re-running an import
+ * that timed out part-way is safe. Returns
+ * { imported, duplicates: [{ row, email, reason }], invalid: [{ row, email, error }], dryRun }
+ * where row is the 1-based line in the file. dryRun validates without adding.
+ */
+
+import { subscriberStore, STATUSES } from '../../_lib/subscriber-store.js';
+import { normalizeEmail } from '../../_lib/email-address.js';
+import { parsePreferences } from '../../_lib/preferences.js';
+import { isAdmin, CSV_COLUMNS } from '../../_lib/admin.js';
+import { parseCsv } from '../../_lib/csv.js';
+
+const MAX_ROWS = 5000;
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!isAdmin(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { csv, status: defaultStatus = 'active', dryRun = false } = req.body || {};
+    if (typeof csv !== 'string' || !csv.trim()) {
+        return res.status(400).json({ error: 'csv is required' });
+    }
+    if (!STATUSES.includes(defaultStatus)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const rows = parseCsv(csv);
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const hasHeader = header.includes('email');
+    const columns = hasHeader
+        ? header.map(h => CSV_COLUMNS.find(c => c.toLowerCase() === h))
+        : ['email'];
+    const records = rows
+        .map((cells, i) => ({ row: i + 1, cells }))
+        .slice(hasHeader ? 1 : 0)
+        .filter(({ cells }) => cells.some(c => c.trim()));
+    if (records.length > MAX_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_ROWS} rows per import` });
+    }
+
+    try {
+        const store = subscriberStore();
+        const existing = new Map((await store.listAll()).map(s => [s.email, s]));
+        const seen = new Set();
+        const result = { imported: 0, duplicates: [], invalid: [], dryRun: Boolean(dryRun) };
+
+        for (const { row, cells } of records) {
+            const fields = {};
+            columns.forEach((column, i) => {
+                if (column && cells[i]?.trim()) fields[column] = cells[i].trim();
+            });
+
+            const email = normalizeEmail(fields.email);
+            if (!email) {
+                result.invalid.push({ row, email: fields.email || '', error: 'Invalid email' });
+                continue;
+            }
+            if (seen.has(email)) {
+                result.duplicates.push({ row, email, reason: 'Repeated in file' });
+                continue;
+            }
+            seen.add(email);
+            if (existing.has(email)) {
+                result.duplicates.push({ row, email, reason: `Already in the list (${existing.get(email).status})` });
+                continue;
+            }
+
+            const status = fields.status || defaultStatus;
+            const { preferences, error } = parsePreferences({
+                language: fields.language,
+                frequency: fields.frequency,
+                tags: fields.tags?.split(';'),
+            });
+            const subscribedAt = fields.subscribedAt && new Date(fields.subscribedAt);
+            const problem = !STATUSES.includes(status) ? `status must be one of: ${STATUSES.join(', ')}`
+                : error ? error
+                : subscribedAt && Number.isNaN(subscribedAt.getTime()) ? 'subscribedAt must be a date'
+                : null;
+            if (problem) {
+                result.invalid.push({ row, email, error: problem });
+                continue;
+            }
+
+            if (!dryRun) {
+                await store.add(email, {
+                    status,
+                    ...(subscribedAt ? { subscribedAt: subscribedAt.toISOString() } : {}),
+                    ...preferences,
+                });
+            }
+            result.imported++;
+        }
+
+        return res.status(200).json(result);
+    } catch (err) {
+        console.error('Admin import error:', err.message);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * GET  /api/admin/subscribers?status=active,pending&from=2026-09-01&to=2026-09-30&q=example.com
+ *                            &limit=100&offset=0&format=json|csv
+ * POST /api/admin/subscribers   { emails: ["a@example.com", ...], status: "unsubscribed" }
+ * Authorization: Bearer <ADMIN_SECRET>
+ *
+ * GET lists subscribers, newest first. Filters (all optional):
+ *   status  one or more statuses, comma-separated
+ *   from    subscribedAt on or after this date / ISO time
+ *   to      subscribedAt up to this date (inclusive) / ISO time
+ *   q       substring of the email address
+ * JSON: { total, offset, limit, subscribers } (limit default 100, max 1000).
+ * format=csv exports every match as an attachment instead, with columns
+ * email, status, subscribedAt, language, frequency, tags (";"-separated);
+ * /api/admin/subscribers/import reads the same columns.
+ *
+ * POST sets the status of up to 1000 addresses at once and returns the
+ * addresses grouped as { updated, unchanged, notFound, invalid }. Setting
+ * "active" here skips double opt-in, so only use it for addresses that
+ * confirmed elsewhere.
+ *
+ * Counts and signups over time: /api/admin/subscribers/stats
+ */
+
+import { subscriberStore, STATUSES } from '../../_lib/subscriber-store.js';
+import { normalizeEmail } from '../../_lib/email-address.js';
+import { isAdmin, parseDateParam, CSV_COLUMNS } from '../../_lib/admin.js';
+import { toCsv } from '../../_lib/csv.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_BULK = 1000;
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!isAdmin(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    return req.method === 'GET' ? list(req, res) : setStatuses(req, res);
+}
+
+async function list(req, res) {
+    const { status, from, to, q, format = 'json' } = req.query;
+
+    const statuses = status ? String(status).split(',').map(s => s.trim()).filter(Boolean) : null;
+    if (statuses && !statuses.every(s => STATUSES.includes(s))) {
+        return res.status(400).json({ error: `status must be one or more of: ${STATUSES.join(', ')}` });
+    }
+
+    const start = parseDateParam(from);
+    const end = parseDateParam(to, { end: true });
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+    }
+
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT || !Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: `limit must be 1-${MAX_LIMIT} and offset a non-negative integer` });
+    }
+
+    try {
+        const search = typeof q === 'string' ? q.trim().toLowerCase() : '';
+        const matches = (await subscriberStore().listAll())
+            .filter(s => !statuses || statuses.includes(s.status))
+            .filter(s => {
+                if (start === undefined && end === undefined) return true;
+                const at = Date.parse(s.subscribedAt);
+                return !Number.isNaN(at) && (start === undefined || at >= start) && (end === undefined || at < end);
+            })
+            .filter(s => !search || s.email.includes(search))
+            .sort((a, b) => (b.subscribedAt || '').localeCompare(a.subscribedAt || ''));
+
+        if (format === 'csv') {
+            const rows = matches.map(s => [s.email, s.status, s.subscribedAt, s.language, s.frequency, s.tags.join(';')]);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="subscribers-${new Date().toISOString().slice(0, 10)}.csv"`);
+            return res.status(200).send(toCsv([CSV_COLUMNS, ...rows]));
+        }
+
+        return res.status(200).json({
+            total: matches.length,
+            offset,
+            limit,
+            subscribers: matches.slice(offset, offset + limit),
+        });
+    } catch (err) {
+        console.error('Admin subscribers error:', err.message);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
+
+async function setStatuses(req, res) {
+    const { emails, status } = req.body || {};
+
+    if (!STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (!Array.isArray(emails) || emails.length === 0 || emails.length > MAX_BULK) {
+        return res.status(400).json({ error: `emails must be a list of 1-${MAX_BULK} addresses` });
+    }
+
+    try {
+        const store = subscriberStore();
+        const byEmail = new Map((await store.listAll()).map(s => [s.email, s]));
+        const result = { updated: [], unchanged: [], notFound: [], invalid: [] };
+
+        const seen = new Set();
+        for (const raw of emails) {
+            const email = normalizeEmail(raw);
+            if (email && seen.has(email)) continue;
+            seen.add(email);
+            const subscriber = email && byEmail.get(email);
+            if (!email) {
+                result.invalid.push(raw);
+            } else if (!subscriber) {
+                result.notFound.push(email);
+            } else if (subscriber.status === status) {
+                result.unchanged.push(email);
+            } else {
+                await store.setStatus(subscriber, status);
+                result.updated.push(email);
+            }
+        }
+
+        return res.status(200).json(result);
+    } catch (err) {
+        console.error('Admin subscribers error:', err.message);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
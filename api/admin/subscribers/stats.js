@@ -0,0 +1,89 @@
+/**
+ * GET /api/admin/subscribers/stats?interval=day|week|month&from=2026-01-01&to=2026-10-31
+ * Authorization: Bearer <ADMIN_SECRET>
+ *
+ * { total, byStatus: { active: 120, pending: 3, ... },
+ *   signups: [{ period: "2026-09", count: 14, active: 11 }, ...] }
+ *
+ * signups buckets subscribers by subscribedAt (UTC; weeks are ISO weeks like
+ * "2026-W41", default interval month), oldest first with empty periods
+ * included; "active" is how many of them are still active. subscribedAt
+ * moves to the confirmation / re-subscribe time, so this counts the latest
+ * (re)subscription of each address. from/to limit the signups range and
+ * take a date or ISO timestamp as in /api/admin/subscribers.
+ */
+
+import { subscriberStore, STATUSES } from '../../_lib/subscriber-store.js';
+import { isAdmin, parseDateParam } from '../../_lib/admin.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_KEYS = {
+    day: date => date.toISOString().slice(0, 10),
+    month: date => date.toISOString().slice(0, 7),
+    // The ISO week-numbering year is the year of the week's Thursday
+    week: date => {
+        const thursday = new Date(date.getTime() + (3 - (date.getUTCDay() + 6) % 7) * DAY_MS);
+        const year = thursday.getUTCFullYear();
+        const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+        return `${year}-W${String(week).padStart(2, '0')}`;
+    },
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!isAdmin(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { interval = 'month', from, to } = req.query;
+    if (!Object.hasOwn(PERIOD_KEYS, interval)) {
+        return res.status(400).json({ error: `interval must be one of: ${Object.keys(PERIOD_KEYS).join(', ')}` });
+    }
+    const periodKey = PERIOD_KEYS[interval];
+
+    const start = parseDateParam(from);
+    const end = parseDateParam(to, { end: true });
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD) or ISO timestamps' });
+    }
+
+    try {
+        const subscribers = await subscriberStore().listAll();
+
+        const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+        for (const s of subscribers) byStatus[s.status] = (byStatus[s.status] || 0) + 1;
+
+        const dated = subscribers
+            .map(s => ({ ...s, at: Date.parse(s.subscribedAt) }))
+            .filter(s => !Number.isNaN(s.at) && (start === undefined || s.at >= start) && (end === undefined || s.at < end));
+
+        // Every period between the first and last signup, in order
+        const buckets = new Map();
+        if (dated.length) {
+            const times = dated.map(s => s.at);
+            const last = Math.max(...times);
+            for (let t = Math.min(...times); t <= last + DAY_MS; t += DAY_MS) {
+                const key = periodKey(new Date(Math.min(t, last)));
+                if (!buckets.has(key)) buckets.set(key, { period: key, count: 0, active: 0 });
+            }
+        }
+        for (const s of dated) {
+            const bucket = buckets.get(periodKey(new Date(s.at)));
+            bucket.count++;
+            if (s.status === 'active') bucket.active++;
+        }
+
+        return res.status(200).json({
+            total: subscribers.length,
+            byStatus,
+            signups: [...buckets.values()],
+        });
+    } catch (err) {
+        console.error('Admin stats error:', err.message);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
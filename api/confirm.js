@@ -0,0 +1,91 @@
+/**
+ * GET /api/confirm?email=xxx&token=...
+ *
+ * Second half of the double opt-in started by /api/subscribe: verifies the
+ * signed link and marks the pending subscriber as active.
+ * The token expires after PENDING_EXPIRY_HOURS (default 48h); an expired link
+ * marks the pending entry expired, as does the store's own sweep of stale
+ * pending entries (see subscriber-store.js).
+ * Returns a simple HTML confirmation page.
+ */
+
+import { subscriberStore } from './_lib/subscriber-store.js';
+import { normalizeEmail } from './_lib/email-address.js';
+import { hasTokenSecret, verifyToken } from './_lib/tokens.js';
+
+export default async function handler(req, res) {
+    const rawEmail = req.query.email;
+    const token = req.query.token;
+
+    if (!rawEmail || !token) {
+        return res.status(400).send(page('This confirmation link is incomplete.', false));
+    }
+
+    // Validate & normalize email
+    const email = normalizeEmail(rawEmail);
+    if (!email) {
+        return res.status(400).send(page('Invalid email.', false));
+    }
+
+    if (!hasTokenSecret()) {
+        console.error('Confirm error: UNSUBSCRIBE_SECRET is not set');
+        return res.status(500).send(page('Something went wrong. Please try again.', false));
+    }
+    const verified = verifyToken('confirm', email, token);
+    if (!verified.ok && !verified.expired) {
+        return res.status(403).send(page('Invalid confirmation link.', false));
+    }
+
+    try {
+        const store = subscriberStore();
+        const subscriber = await store.find(email);
+        if (!subscriber) {
+            return res.status(200).send(page('This email has no pending subscription. Please subscribe again.', false));
+        }
+
+        if (subscriber.status === 'active') {
+            return res.status(200).send(page('Your subscription is already confirmed.', true));
+        }
+
+        // Unsubscribed or already expired: the link no longer applies
+        if (subscriber.status !== 'pending') {
+            return res.status(200).send(page('This email has no pending subscription. Please subscribe again.', false));
+        }
+
+        if (verified.expired) {
+            await store.setStatus(subscriber, 'expired');
+            return res.status(410).send(page('This confirmation link has expired. Please subscribe again.', false));
+        }
+
+        await store.setStatus(subscriber, 'active', { subscribedAt: new Date().toISOString() });
+        return res.status(200).send(page('You\'re subscribed. New posts will arrive in your inbox.', true));
+    } catch (err) {
+        console.error('Confirm error:', err.message);
+        return res.status(500).send(page('Something went wrong. Please try again.', false));
+    }
+}
+
+function page(message, success) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0">
+<title>Confirm Subscription - mkyang.ai</title>
+<style>
+  body { margin:0; background:#0a0a0a; color:#f0ede6; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; display:flex; align-items:center; justify-content:center; min-height:100vh; }
+  .box { text-align:center; max-width:400px; padding:40px 24px; }
+  h1 { font-size:20px; font-weight:600; margin:0 0 12px; color:${success ? '#4ade80' : '#f87171'}; }
+  p { font-size:15px; color:#999; line-height:1.6; margin:0 0 24px; }
+  a { color:#c9a84c; text-decoration:none; font-size:14px; }
+  a:hover { text-decoration:underline; }
+</style>
+</head>
+<body>
+<div class="box">
+  <h1>${success ? 'Confirmed' : 'Oops'}</h1>
+  <p>${message}</p>
+  <a href="https://mkyang.ai/blog">Back to Blog</a>
+</div>
+</body>
+</html>`;
+}
@@ -0,0 +1,116 @@
+/**
+ * POST /api/email-events
+ *
+ * Webhook for email provider events (Resend, signed with Svix). Verifies the
+ * svix-id / svix-timestamp / svix-signature headers against
+ * RESEND_WEBHOOK_SECRET ("whsec_...") and handles:
+ *   email.delivered   recorded on the delivery-log entry
+ *   email.bounced     recorded; a permanent bounce marks the subscriber "bounced"
+ *   email.complained  recorded; marks the subscriber "complained"
+ *   email.opened      recorded
+ * Other event types are acknowledged and ignored.
+ *
+ * Events are matched to newsletter sends by the provider's message id, which
+ * /api/send-newsletter stores in the delivery log; per-post totals show up in
+ * /api/newsletter-status. Events for other mail (confirmations) still update
+ * the subscriber. Handling is idempotent, so provider retries are harmless.
+ *
+ * The signature covers the exact request bytes, so the body is read from the
+ * stream rather than the parsed req.body.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { subscriberStore } from './_lib/subscriber-store.js';
+import { deliveryLog } from './_lib/delivery-log.js';
+
+// Svix rejects timestamps more than 5 minutes off to stop replays
+const TOLERANCE_SECONDS = 5 * 60;
+
+const EVENTS = {
+    'email.delivered': 'delivered',
+    'email.bounced': 'bounced',
+    'email.complained': 'complained',
+    'email.opened': 'opened',
+};
+
+// Statuses that already stop all mail; only a complaint overrides them
+const INACTIVE_STATUSES = ['unsubscribed', 'bounced', 'complained'];
+
+async function readRawBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+// Svix scheme: base64 HMAC-SHA256 of "id.timestamp.body" with the decoded
+// secret; the header may carry several space-separated "v1,<sig>" entries
+function verifySignature(headers, body, secret) {
+    const id = headers['svix-id'];
+    const timestamp = headers['svix-timestamp'];
+    const signatures = headers['svix-signature'];
+    if (!id || !timestamp || !signatures) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return false;
+
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = Buffer.from(createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64'));
+    return signatures.split(' ').some(entry => {
+        const [version, signature] = entry.split(',');
+        const given = Buffer.from(signature || '');
+        return version === 'v1' && given.length === expected.length && timingSafeEqual(given, expected);
+    });
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!process.env.RESEND_WEBHOOK_SECRET) {
+        console.error('Email events error: RESEND_WEBHOOK_SECRET is not set');
+        return res.status(500).json({ error: 'Webhook not configured' });
+    }
+
+    let payload;
+    try {
+        const body = await readRawBody(req);
+        if (!verifySignature(req.headers, body, process.env.RESEND_WEBHOOK_SECRET)) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        payload = JSON.parse(body);
+    } catch {
+        return res.status(400).json({ error: 'Invalid payload' });
+    }
+    // Valid JSON isn't necessarily an event: null, a string or a list
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return res.status(400).json({ error: 'Invalid payload' });
+    }
+
+    const event = EVENTS[payload.type];
+    const data = payload.data || {};
+    const email = [].concat(data.to || [])[0]?.trim().toLowerCase();
+    if (!event || !email) {
+        return res.status(200).json({ ok: true, ignored: payload.type });
+    }
+
+    try {
+        // Per-post stats: only newsletter sends are in the delivery log
+        const sent = data.email_id ? await deliveryLog().findMessage(data.email_id) : null;
+        if (sent) await deliveryLog().addEvent(sent.slug, sent.email, event);
+
+        // Hard bounces and spam complaints stop all further mail
+        const hardBounce = event === 'bounced' && data.bounce?.type !== 'Transient';
+        const status = event === 'complained' ? 'complained' : hardBounce ? 'bounced' : null;
+        if (status) {
+            const store = subscriberStore();
+            const subscriber = await store.find(email);
+            const update = subscriber && subscriber.status !== status &&
+                (status === 'complained' || !INACTIVE_STATUSES.includes(subscriber.status));
+            if (update) await store.setStatus(subscriber, status);
+        }
+
+        return res.status(200).json({ ok: true, event, slug: sent?.slug || null });
+    } catch (err) {
+        console.error('Email events error:', err.message);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * GET /api/newsletter-status?slug=post-filename.html
+ *     /api/newsletter-status?slug=digest-weekly-2026-W41
+ * Authorization: Bearer <NEWSLETTER_SECRET>
+ *
+ * Reports send progress for a post or digest from the delivery log:
+ * { slug, subscribers, sent, failed, sending, remaining, done, lastSentAt, events, errors }
+ * "subscribers" counts the active subscribers whose preferences want this
+ * email, "remaining" those of them not yet delivered to. "sending" counts
+ * entries whose outcome was never recorded (the send may or may not have
+ * gone out); they aren't retried, so they don't count as remaining. "events" counts the
+ * sent emails the provider has reported delivered, bounced, complained about
+ * or opened (via /api/email-events).
+ */
+
+import { subscriberStore } from './_lib/subscriber-store.js';
+import { deliveryLog } from './_lib/delivery-log.js';
+import { wantsPost, digestPostsFor } from './_lib/preferences.js';
+import { SITE_URL, parsePost, digestPeriod, digestPosts } from './_lib/newsletter.js';
+
+// Recipient filter for a delivery-log slug, mirroring /api/send-newsletter;
+// null if the post or feed can't be loaded
+async function recipientFilter(logSlug) {
+    const digest = /^digest-(weekly|monthly)-(.+)$/.exec(logSlug);
+    if (digest) {
+        const [, kind, period] = digest;
+        const range = digestPeriod(kind, period);
+        const feedRes = range && await fetch(`${SITE_URL}/feed.json`);
+        if (!feedRes?.ok) return null;
+        const posts = digestPosts(await feedRes.json(), range);
+        return subscriber => digestPostsFor(subscriber, kind, posts).length > 0;
+    }
+    const pageRes = await fetch(`${SITE_URL}/blog/${logSlug}.html`);
+    const post = pageRes.ok && parsePost(`${logSlug}.html`, await pageRes.text());
+    return post ? subscriber => wantsPost(subscriber, post.tags) : null;
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Auth check
+    const auth = req.headers['authorization'] || '';
+    if (!process.env.NEWSLETTER_SECRET || auth !== `Bearer ${process.env.NEWSLETTER_SECRET}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const slug = req.query.slug;
+    if (!slug) {
+        return res.status(400).json({ error: 'slug is required' });
+    }
+
+    try {
+        const logSlug = slug.replace(/\.html$/, '');
+        const [active, entries, wants] = await Promise.all([
+            subscriberStore().listActive(),
+            deliveryLog().list(logSlug),
+            recipientFilter(logSlug),
+        ]);
+        if (!wants) {
+            return res.status(404).json({ error: `Could not load the post or feed for ${logSlug}` });
+        }
+        const subscribers = active.filter(wants);
+
+        const sent = new Set(entries.filter(e => e.status === 'sent').map(e => e.email));
+        const failed = entries.filter(e => e.status === 'failed');
+        const sending = new Set(entries.filter(e => e.status === 'sending').map(e => e.email));
+        const remaining = subscribers.filter(s => !sent.has(s.email) && !sending.has(s.email)).length;
+        const lastSentAt = entries.map(e => e.at).filter(Boolean).sort().pop() || null;
+        const events = Object.fromEntries(['delivered', 'bounced', 'complained', 'opened'].map(event =>
+            [event, entries.filter(e => e.events?.includes(event)).length]));
+
+        return res.status(200).json({
+            slug: logSlug,
+            subscribers: subscribers.length,
+            sent: sent.size,
+            failed: failed.length,
+            sending: sending.size,
+            remaining,
+            done: remaining === 0,
+            lastSentAt,
+            events,
+            errors: failed.map(e => ({ email: e.email, error: e.error })),
+        });
+    } catch (err) {
+        console.error('Newsletter status error:', err.message);
+        return res.status(500).json({ error: 'Internal error' });
+    }
+}
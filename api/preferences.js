@@ -0,0 +1,195 @@
+/**
+ * GET  /api/preferences?email=xxx&token=...
+ * POST /api/preferences   (form fields: email, token, language, frequency, tags)
+ *
+ * Lets a subscriber choose their newsletter language, frequency and topics
+ * (see _lib/preferences.js) from the signed link in every newsletter.
+ * GET shows the form with the current values, POST saves it.
+ * The topic list is every tag in feed.json plus any the subscriber already has.
+ * Returns a simple HTML page.
+ */
+
+import meta from '../scripts/lib/meta.js';
+import { subscriberStore } from './_lib/subscriber-store.js';
+import { normalizeEmail } from './_lib/email-address.js';
+import { parsePreferences } from './_lib/preferences.js';
+import { hasTokenSecret, verifyToken } from './_lib/tokens.js';
+import { rateLimit, clientIp } from './_lib/rate-limit.js';
+
+const { tagSlug } = meta;
+
+const SITE_URL = 'https://mkyang.ai';
+
+// Failed link checks, per IP and per address
+const IP_LIMIT = { limit: 20, windowMs: 60 * 1000 };
+const EMAIL_LIMIT = { limit: 30, windowMs: 60 * 60 * 1000 };
+
+const LANGUAGE_LABELS = { en: 'English', zh: '中文' };
+const FREQUENCY_LABELS = {
+    instant: 'Every new post',
+    weekly: 'Weekly digest',
+    monthly: 'Monthly digest',
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).send(page({ message: 'Method not allowed.' }));
+    }
+
+    const fields = (req.method === 'POST' ? req.body : req.query) || {};
+    const { email: rawEmail, token } = fields;
+
+    if (!rawEmail || typeof rawEmail !== 'string') {
+        return res.status(400).send(page({ message: 'Missing email parameter.' }));
+    }
+
+    // Validate & normalize email
+    const email = normalizeEmail(rawEmail);
+    if (!email) {
+        return res.status(400).send(page({ message: 'Invalid email.' }));
+    }
+
+    // Preference links are always signed; without a secret they could be forged
+    if (!hasTokenSecret()) {
+        console.error('Preferences error: UNSUBSCRIBE_SECRET is not set');
+        return res.status(500).send(page({ message: 'Something went wrong. Please try again.' }));
+    }
+    const verified = verifyToken('preferences', email, token);
+    if (!verified.ok) {
+        // Only failed attempts are limited, so a valid link always works
+        const { limited } = await rateLimit(res, [
+            { key: `preferences:ip:${clientIp(req)}`, ...IP_LIMIT },
+            { key: `preferences:email:${email}`, ...EMAIL_LIMIT },
+        ]);
+        if (limited) {
+            return res.status(429).send(page({ message: 'Too many requests. Try again later.' }));
+        }
+        return res.status(403).send(page({
+            message: verified.expired
+                ? 'This preferences link has expired. Use the link in a more recent newsletter.'
+                : 'Invalid preferences link.',
+        }));
+    }
+
+    try {
+        const store = subscriberStore();
+        let subscriber = await store.find(email);
+        if (!subscriber) {
+            return res.status(200).send(page({ message: 'This email is not subscribed.' }));
+        }
+
+        let notice = null;
+        if (req.method === 'POST') {
+            const { preferences, error } = parsePreferences({
+                language: fields.language,
+                frequency: fields.frequency,
+                tags: fields.tags,
+            });
+            if (error) {
+                return res.status(400).send(page({ message: error }));
+            }
+            subscriber = await store.setPreferences(subscriber, preferences);
+            notice = 'Preferences saved.';
+        }
+
+        const topics = await siteTags();
+        const form = { email, token, subscriber, topics: mergeTags(topics, subscriber.tags) };
+        return res.status(200).send(page({ form, notice }));
+    } catch (err) {
+        console.error('Preferences error:', err.message);
+        return res.status(500).send(page({ message: 'Something went wrong. Please try again.' }));
+    }
+}
+
+// Tags used on the site, most used first; [] if the feed can't be loaded
+async function siteTags() {
+    try {
+        const feedRes = await fetch(`${SITE_URL}/feed.json`);
+        if (!feedRes.ok) return [];
+        const counts = new Map();
+        for (const item of (await feedRes.json()).items || []) {
+            for (const tag of item.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+        return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag]) => tag);
+    } catch {
+        return [];
+    }
+}
+
+function mergeTags(topics, chosen) {
+    const known = new Set(topics.map(tagSlug));
+    return [...topics, ...chosen.filter(t => !known.has(tagSlug(t)))];
+}
+
+function esc(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function choices(name, labels, current) {
+    return Object.entries(labels).map(([value, label]) =>
+        `<label class="choice"><input type="radio" name="${name}" value="${value}"${value === current ? ' checked' : ''}> ${label}</label>`
+    ).join('\n      ');
+}
+
+function formHtml({ email, token, subscriber, topics }) {
+    const chosen = new Set(subscriber.tags.map(tagSlug));
+    const tagBoxes = topics.map(tag =>
+        `<label class="tag"><input type="checkbox" name="tags" value="${esc(tag)}"${chosen.has(tagSlug(tag)) ? ' checked' : ''}> ${esc(tag)}</label>`
+    ).join('\n      ');
+    const inactive = subscriber.status === 'active' ? '' :
+        `\n  <p class="note">This address is not receiving newsletters right now (${esc(subscriber.status)}). These settings apply if you subscribe again.</p>`;
+
+    return `<p>${esc(email)}</p>${inactive}
+  <form method="POST" action="/api/preferences">
+    <input type="hidden" name="email" value="${esc(email)}">
+    <input type="hidden" name="token" value="${esc(token)}">
+    <input type="hidden" name="tags" value="">
+    <fieldset>
+      <legend>Language</legend>
+      ${choices('language', LANGUAGE_LABELS, subscriber.language)}
+    </fieldset>
+    <fieldset>
+      <legend>How often</legend>
+      ${choices('frequency', FREQUENCY_LABELS, subscriber.frequency)}
+    </fieldset>
+    <fieldset>
+      <legend>Topics <span>(none ticked = everything)</span></legend>
+      ${tagBoxes}
+    </fieldset>
+    <button type="submit">Save Preferences</button>
+  </form>`;
+}
+
+function page({ message, form, notice }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>Newsletter Preferences - mkyang.ai</title>
+<style>
+  body { margin:0; background:#0a0a0a; color:#f0ede6; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; display:flex; align-items:center; justify-content:center; min-height:100vh; }
+  .box { max-width:440px; padding:40px 24px; }
+  h1 { font-size:20px; font-weight:600; margin:0 0 12px; color:${form ? '#f0ede6' : '#f87171'}; }
+  p { font-size:15px; color:#999; line-height:1.6; margin:0 0 24px; }
+  .note { font-size:13px; color:#c9a84c; }
+  .saved { color:#4ade80; }
+  fieldset { border:0; border-top:1px solid #222; margin:0 0 20px; padding:16px 0 0; }
+  legend { font-size:12px; color:#666; letter-spacing:0.15em; text-transform:uppercase; padding:0 8px 0 0; }
+  legend span { letter-spacing:0; text-transform:none; }
+  .choice { display:block; font-size:15px; color:#d4d0c8; margin:0 0 8px; }
+  .tag { display:inline-block; font-size:13px; color:#d4d0c8; border:1px solid #333; border-radius:3px; padding:4px 8px; margin:0 6px 8px 0; }
+  button { background:#c9a84c; color:#0a0a0a; border:0; border-radius:4px; padding:12px 28px; font-size:14px; font-weight:500; letter-spacing:0.03em; cursor:pointer; margin:0 0 24px; }
+  a { color:#c9a84c; text-decoration:none; font-size:14px; }
+  a:hover { text-decoration:underline; }
+</style>
+</head>
+<body>
+<div class="box">
+  <h1>${form ? 'Newsletter Preferences' : 'Oops'}</h1>
+  ${notice ? `<p class="saved">${notice}</p>\n  ` : ''}${form ? formHtml(form) : `<p>${esc(message)}</p>`}
+  <a href="${SITE_URL}/blog">Back to Blog</a>
+</div>
+</body>
+</html>`;
+}
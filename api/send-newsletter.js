@@ -3,215 +3,256 @@
  *
  * Sends a newsletter email to all active subscribers when a new blog post is published.
  *
- * Body: { slug: "post-filename.html", secret: "..." }
+ * Body: { slug: "post-filename.html", secret: "...", cursor?: "...",
+ *         format?: "teaser" | "full", dryRun?: true, testTo?: ["you@example.com"],
+ *         language?: "en" | "zh" }
+ *   or  { digest: "weekly" | "monthly", period?: "2026-W41" | "2026-09", secret: "...", ... }
+ *
+ * format defaults to NEWSLETTER_FORMAT (else "teaser"); "full" inlines the
+ * whole article with its images attached (fetched again for every batch). A
+ * digest lists the posts from feed.json published in the last complete
+ * week/month (or the given period) and is logged under its period key, e.g.
+ * "digest-weekly-2026-W41".
+ *
+ * Subscriber preferences decide who gets what: a post goes to "instant"
+ * subscribers whose tags (if any) match it, a digest to subscribers of that
+ * frequency and lists only the posts matching their tags. Each email is in
+ * the subscriber's language.
  *
  * Flow:
  *   1. Validate secret
  *   2. Fetch post page from mkyang.ai to extract title/description
- *   3. Query Notion for all active subscribers
- *   4. Send email via Resend (batch, with rate limiting)
- *   5. Return results
+ *      (or feed.json for a digest)
+ *   3. Expire unconfirmed sign-ups past their link's lifetime (first batch
+ *      only), load active subscribers from the subscriber store and keep the
+ *      ones whose preferences want this email
+ *   4. Take up to SEND_BATCH_SIZE (default 25) subscribers the delivery log
+ *      doesn't already have as sent for this slug, log each as "sending",
+ *      send them in one transport batch and record each result;
+ *      hard-bounced addresses are marked "bounced"
+ *   5. Return { cursor } to continue from; cursor is null once the list is done
+ *
+ * Safe to call again with the same slug: delivered addresses are skipped and
+ * failed ones retried. Logging "sending" first means a run that dies after
+ * the send (a timeout, the log becoming unreachable) never mails those
+ * addresses again; their outcome just stays unknown ("unrecorded" here,
+ * "sending" in the status). The Notion log takes about two requests per
+ * recipient at Notion's ~3 requests/s, which is what keeps the default batch
+ * small enough to finish inside the function time limit. A scheduled post (dated in the future) is refused with
+ * 409 until it is due; .github/workflows/publish.yml sends it then.
+ * Progress: GET /api/newsletter-status?slug=...
+ *
+ * Modes (neither touches the delivery log):
+ *   dryRun  returns { recipients, subject, html, text } without sending anything
+ *   testTo  sends a "[Test]" copy to up to 10 given addresses only
+ * Both render in `language` (default "en").
+ * To render from a local checkout instead: node scripts/preview-newsletter.js <slug>
  */
 
-import { createHmac } from 'crypto';
+import { subscriberStore } from './_lib/subscriber-store.js';
+import { deliveryLog, deliveredTo } from './_lib/delivery-log.js';
+import { emailTransport } from './_lib/email-transport.js';
+import { normalizeEmail } from './_lib/email-address.js';
+import { fetchInlineImages } from './_lib/email-html.js';
+import { LANGUAGES, DEFAULT_PREFERENCES, wantsPost, digestPostsFor } from './_lib/preferences.js';
+import { hasTokenSecret } from './_lib/tokens.js';
+import {
+    SITE_URL, FORMATS, DIGEST_KINDS,
+    parsePost, newsletterMessage, digestPeriod, digestPosts, digestMessage,
+} from './_lib/newsletter.js';
 
-const SITE_URL = 'https://mkyang.ai';
-const RESEND_API = 'https://api.resend.com/emails';
-const NOTION_API = 'https://api.notion.com/v1';
-
-function unsubscribeUrl(email) {
-    const base = `${SITE_URL}/api/unsubscribe?email=${encodeURIComponent(email)}`;
-    if (process.env.UNSUBSCRIBE_SECRET) {
-        const token = createHmac('sha256', process.env.UNSUBSCRIBE_SECRET)
-            .update(email).digest('hex').slice(0, 16);
-        return `${base}&token=${token}`;
-    }
-    return base;
-}
+const BATCH_SIZE = Number(process.env.SEND_BATCH_SIZE) || 25;
+const DEFAULT_FORMAT = process.env.NEWSLETTER_FORMAT || 'teaser';
+const TEST_SEND_LIMIT = 10;
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    const { slug, secret } = req.body || {};
+    const {
+        slug, secret, cursor, dryRun, testTo, format = DEFAULT_FORMAT, digest, period, language = 'en',
+    } = req.body || {};
 
     // Auth check
     if (!secret || secret !== process.env.NEWSLETTER_SECRET) {
         return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    if (!slug) {
-        return res.status(400).json({ error: 'slug is required' });
+    // Every email carries signed unsubscribe and preferences links
+    if (!hasTokenSecret()) {
+        console.error('Newsletter error: UNSUBSCRIBE_SECRET is not set');
+        return res.status(500).json({ error: 'UNSUBSCRIBE_SECRET is not set' });
+    }
+
+    if (!slug && !digest) {
+        return res.status(400).json({ error: 'slug or digest is required' });
+    }
+
+    if (digest && !DIGEST_KINDS.includes(digest)) {
+        return res.status(400).json({ error: `digest must be one of: ${DIGEST_KINDS.join(', ')}` });
+    }
+
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    if (!LANGUAGES.includes(language)) {
+        return res.status(400).json({ error: `language must be one of: ${LANGUAGES.join(', ')}` });
+    }
+
+    if (testTo !== undefined) {
+        const valid = Array.isArray(testTo) && testTo.length > 0 && testTo.length <= TEST_SEND_LIMIT &&
+            testTo.every(e => normalizeEmail(e));
+        if (!valid) {
+            return res.status(400).json({ error: `testTo must be a list of 1-${TEST_SEND_LIMIT} valid email addresses` });
+        }
     }
 
     try {
-        // 1. Fetch the post page to extract metadata
-        const postUrl = `${SITE_URL}/blog/${slug}`;
-        const pageRes = await fetch(postUrl);
-        if (!pageRes.ok) {
-            return res.status(404).json({ error: `Post not found: ${postUrl}` });
+        // 1. Work out what to send: one post, or a digest of a period's posts.
+        //    wants(subscriber) picks the recipients; render(subscriber) builds
+        //    the message for one of them.
+        let logSlug, wants, render;
+        if (digest) {
+            const range = digestPeriod(digest, period);
+            if (!range) {
+                return res.status(400).json({ error: `Invalid ${digest} period: ${period}` });
+            }
+            const feedRes = await fetch(`${SITE_URL}/feed.json`);
+            if (!feedRes.ok) {
+                return res.status(502).json({ error: `Could not load ${SITE_URL}/feed.json` });
+            }
+            const posts = digestPosts(await feedRes.json(), range);
+            if (posts.length === 0) {
+                return res.status(200).json({ ok: true, sent: 0, message: `No posts in ${range.label}`, cursor: null });
+            }
+            logSlug = range.key;
+            wants = subscriber => digestPostsFor(subscriber, digest, posts).length > 0;
+            render = (subscriber, options) => digestMessage({ ...range, posts: digestPostsFor(subscriber, digest, posts) }, subscriber, options);
+        } else {
+            const postUrl = `${SITE_URL}/blog/${slug}`;
+            const pageRes = await fetch(postUrl);
+            if (!pageRes.ok) {
+                return res.status(404).json({ error: `Post not found: ${postUrl}` });
+            }
+            const post = parsePost(slug, await pageRes.text());
+            if (!post) {
+                return res.status(400).json({ error: 'No BLOG_META found in post' });
+            }
+            if (!dryRun && !testTo && Date.parse(post.publishAt) > Date.now()) {
+                return res.status(409).json({ error: `Post is scheduled for ${post.publishAt}` });
+            }
+            logSlug = slug.replace(/\.html$/, '');
+            wants = subscriber => wantsPost(subscriber, post.tags);
+            // A full email carries the article's images; a preview links them
+            const images = format === 'full' && !dryRun
+                ? await fetchInlineImages([post.content, post.zh?.content], post.postUrl)
+                : new Map();
+            render = (subscriber, options) => newsletterMessage(post, subscriber, { format, images, ...options });
         }
-        const html = await pageRes.text();
 
-        // Extract metadata from BLOG_META block
-        const metaMatch = html.match(/<!--\s*\nBLOG_META\n([\s\S]*?)\nEND_META\s*\n-->/);
-        if (!metaMatch) {
-            return res.status(400).json({ error: 'No BLOG_META found in post' });
+        // Test sends and previews render for a subscriber with default
+        // preferences who takes this email
+        const sample = email => ({ ...DEFAULT_PREFERENCES, frequency: digest || 'instant', email, language });
+
+        // Test send: only the given addresses, nothing recorded
+        if (testTo) {
+            const outcomes = await emailTransport().send(
+                testTo.map(email => render(sample(normalizeEmail(email)), { subjectPrefix: '[Test] ' }))
+            );
+            const errors = outcomes.filter(o => !o.ok).map(o => ({ email: o.to, error: o.error }));
+            return res.status(200).json({ ok: true, test: true, sent: outcomes.length - errors.length, failed: errors.length, errors });
         }
-        const meta = {};
-        for (const line of metaMatch[1].split('\n')) {
-            const idx = line.indexOf(':');
-            if (idx === -1) continue;
-            const key = line.slice(0, idx).trim();
-            const val = line.slice(idx + 1).trim();
-            if (key && val) meta[key] = val;
+
+        // Expire sign-ups that were never confirmed, once per send (the first
+        // batch); a failure here mustn't hold up the newsletter
+        if (!cursor && !dryRun) {
+            try {
+                await subscriberStore().expirePending();
+            } catch (err) {
+                console.error('Expiring pending subscribers failed:', err.message);
+            }
         }
 
-        const title = meta.title || 'New Post';
-        const description = meta.description || '';
-        const tags = (meta.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+        // 2. Load the active subscribers who want this email, in a stable
+        //    order; the cursor is the last address handled by the previous batch
+        const subscribers = (await subscriberStore().listActive())
+            .filter(wants)
+            .sort((a, b) => a.email.localeCompare(b.email));
+        const delivered = await deliveredTo(logSlug);
+        const remaining = cursor ? subscribers.filter(s => s.email > cursor) : subscribers;
+        const pending = remaining.filter(s => !delivered.has(s.email));
+        const batch = pending.slice(0, BATCH_SIZE);
+        const next = pending.length > batch.length ? batch[batch.length - 1].email : null;
+
+        if (dryRun) {
+            const preview = render(sample('subscriber@example.com'));
+            return res.status(200).json({
+                ok: true,
+                dryRun: true,
+                recipients: pending.length,
+                alreadyDelivered: remaining.length - pending.length,
+                subject: preview.subject,
+                html: preview.html,
+                text: preview.text,
+            });
+        }
 
-        // 2. Query Notion for active subscribers
-        const subscribers = await getAllSubscribers();
         if (subscribers.length === 0) {
-            return res.status(200).json({ ok: true, sent: 0, message: 'No active subscribers' });
+            return res.status(200).json({ ok: true, sent: 0, message: 'No active subscribers want this email', cursor: null });
+        }
+
+        // 3. Log the batch as sending, then send it and record every outcome.
+        //    If the log fails part-way, only the addresses already logged are
+        //    sent to and the cursor stops at the last of them.
+        const results = { sent: 0, skipped: remaining.length - pending.length, failed: 0, bounced: 0, errors: [], unrecorded: [] };
+        const marked = [];
+        for (const subscriber of batch) {
+            try {
+                await deliveryLog().record(logSlug, subscriber.email, { status: 'sending' });
+            } catch (err) {
+                if (!marked.length) throw err;
+                console.error('Delivery log error:', err.message);
+                break;
+            }
+            marked.push(subscriber);
         }
+        const cursorAfter = marked.length < batch.length ? marked[marked.length - 1].email : next;
 
-        // 3. Send emails via Resend with rate limiting (2 req/sec for free plan)
-        const results = { sent: 0, failed: 0, errors: [] };
+        // One attempt per address per run: a retry inside the transport reuses
+        // the id, a later run after a failure gets a new one
+        const attempt = new Date().toISOString();
+        const outcomes = await emailTransport().send(marked.map(subscriber => ({
+            ...render(subscriber),
+            deliveryId: `${logSlug}/${subscriber.email}/${attempt}`,
+        })));
 
-        for (const email of subscribers) {
+        // The mail has gone out: a failed log write mustn't end the run
+        for (const [i, outcome] of outcomes.entries()) {
+            const subscriber = marked[i];
             try {
-                const emailHtml = buildEmailHtml({ title, description, postUrl, tags, email });
-                const sendRes = await fetch(RESEND_API, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        from: 'Michael Yang <blog@mkyang.ai>',
-                        to: email,
-                        subject: `New Post: ${title}`,
-                        html: emailHtml,
-                        headers: {
-                            'List-Unsubscribe': `<${unsubscribeUrl(email)}>`,
-                        },
-                    }),
-                });
-
-                if (sendRes.ok) {
+                if (outcome.ok) {
                     results.sent++;
-                } else {
-                    const err = await sendRes.json();
-                    results.failed++;
-                    results.errors.push({ email, error: err.message || 'Send failed' });
+                    await deliveryLog().record(logSlug, subscriber.email, { status: 'sent', messageId: outcome.id });
+                    continue;
                 }
-
-                // Rate limit: 1.5s between sends (Resend free plan: 2 req/sec)
-                await sleep(1500);
-            } catch (err) {
                 results.failed++;
-                results.errors.push({ email, error: err.message });
+                results.errors.push({ email: subscriber.email, error: outcome.error });
+                await deliveryLog().record(logSlug, subscriber.email, { status: 'failed', error: outcome.error });
+                if (outcome.hardBounce) {
+                    await subscriberStore().setStatus(subscriber, 'bounced');
+                    results.bounced++;
+                }
+            } catch (err) {
+                console.error('Delivery log error:', err.message);
+                results.unrecorded.push(subscriber.email);
             }
         }
 
-        return res.status(200).json({ ok: true, ...results });
+        return res.status(200).json({ ok: true, ...results, cursor: cursorAfter });
     } catch (err) {
         console.error('Newsletter error:', err);
         return res.status(500).json({ error: 'Internal error' });
     }
 }
-
-// ── Notion: get all active subscribers ────────────────────────────────
-async function getAllSubscribers() {
-    const emails = [];
-    let cursor = undefined;
-
-    do {
-        const body = {
-            filter: {
-                property: 'Status',
-                select: { equals: 'active' },
-            },
-            page_size: 100,
-        };
-        if (cursor) body.start_cursor = cursor;
-
-        const res = await fetch(
-            `${NOTION_API}/databases/${process.env.NOTION_SUBSCRIBERS_DB}/query`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
-                    'Notion-Version': '2022-06-28',
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(body),
-            }
-        );
-
-        if (!res.ok) break;
-        const data = await res.json();
-
-        for (const page of data.results) {
-            const emailProp = page.properties?.Email?.title;
-            if (emailProp && emailProp[0]?.text?.content) {
-                emails.push(emailProp[0].text.content);
-            }
-        }
-
-        cursor = data.has_more ? data.next_cursor : undefined;
-    } while (cursor);
-
-    return emails;
-}
-
-// ── Helpers ───────────────────────────────────────────────────────────
-function esc(str) {
-    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
-
-// ── Email template ────────────────────────────────────────────────────
-function buildEmailHtml({ title, description, postUrl, tags, email }) {
-    const tagBadges = tags.map(t =>
-        `<span style="display:inline-block;font-size:11px;color:#999;border:1px solid #333;padding:2px 8px;border-radius:3px;margin-right:6px;letter-spacing:0.5px;text-transform:uppercase;">${esc(t)}</span>`
-    ).join('');
-
-    return `<!DOCTYPE html>
-<html>
-<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"></head>
-<body style="margin:0;padding:0;background:#0a0a0a;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
-<div style="max-width:600px;margin:0 auto;padding:40px 24px;">
-
-  <!-- Header -->
-  <div style="margin-bottom:32px;">
-    <a href="${SITE_URL}" style="color:#c9a84c;text-decoration:none;font-size:14px;letter-spacing:0.1em;">mkyang.ai</a>
-  </div>
-
-  <!-- Content -->
-  <div style="border-top:1px solid #222;padding-top:32px;">
-    <p style="font-size:12px;color:#666;letter-spacing:0.15em;text-transform:uppercase;margin:0 0 16px;">New Post</p>
-    <h1 style="font-size:28px;color:#f0ede6;margin:0 0 12px;line-height:1.3;font-weight:700;">${esc(title)}</h1>
-    <p style="font-size:16px;color:#999;line-height:1.6;margin:0 0 20px;">${esc(description)}</p>
-    ${tagBadges ? `<div style="margin-bottom:24px;">${tagBadges}</div>` : ''}
-    <a href="${postUrl}" style="display:inline-block;background:#c9a84c;color:#0a0a0a;text-decoration:none;padding:12px 28px;font-size:14px;font-weight:500;border-radius:4px;letter-spacing:0.03em;">Read Post</a>
-  </div>
-
-  <!-- Footer -->
-  <div style="border-top:1px solid #222;margin-top:48px;padding-top:20px;">
-    <p style="font-size:12px;color:#555;margin:0;line-height:1.6;">
-      You're receiving this because you subscribed at <a href="${SITE_URL}/blog" style="color:#c9a84c;text-decoration:none;">mkyang.ai/blog</a>.<br>
-      <a href="${unsubscribeUrl(email)}" style="color:#555;text-decoration:underline;">Unsubscribe</a>
-    </p>
-  </div>
-
-</div>
-</body>
-</html>`;
-}
-
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
@@ -1,21 +1,44 @@
-// Simple in-memory rate limiter (per Vercel function instance)
-const rateLimit = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX = 5; // 5 requests per minute per IP
-
-function isRateLimited(ip) {
-    const now = Date.now();
-    const entry = rateLimit.get(ip);
-    if (!entry || now - entry.start > RATE_LIMIT_WINDOW) {
-        rateLimit.set(ip, { start: now, count: 1 });
-        return false;
-    }
-    entry.count++;
-    return entry.count > RATE_LIMIT_MAX;
+/**
+ * POST /api/subscribe
+ *
+ * Double opt-in: new (or previously unsubscribed) addresses are stored as
+ * "pending" and sent a signed confirmation link to /api/confirm. Nothing is
+ * mailed to a pending address until it is confirmed. Addresses that bounced
+ * or complained get the same reply but no email and no status change.
+ *
+ * Body: { email: "...", language?: "en" | "zh", frequency?: "instant" | "weekly" | "monthly",
+ *         tags?: ["agent payments", ...] }
+ * Preferences are stored with the pending entry. An address that is already
+ * active keeps its current ones; those change through the signed
+ * /api/preferences link in every newsletter.
+ */
+
+import { subscriberStore, PENDING_EXPIRY_MS } from './_lib/subscriber-store.js';
+import { normalizeEmail } from './_lib/email-address.js';
+import { emailTransport } from './_lib/email-transport.js';
+import { htmlToPlainText } from './_lib/email-html.js';
+import { parsePreferences } from './_lib/preferences.js';
+import { hasTokenSecret, signToken } from './_lib/tokens.js';
+import { rateLimit, clientIp } from './_lib/rate-limit.js';
+
+const SITE_URL = 'https://mkyang.ai';
+
+// The confirm token expires with the pending window
+function confirmUrl(email) {
+    const token = signToken('confirm', email, { ttlMs: PENDING_EXPIRY_MS });
+    return `${SITE_URL}/api/confirm?email=${encodeURIComponent(email)}&token=${token}`;
 }
 
+// 5 requests a minute per IP; 3 confirmation emails an hour per address
+const IP_LIMIT = { limit: 5, windowMs: 60 * 1000 };
+const EMAIL_LIMIT = { limit: 3, windowMs: 60 * 60 * 1000 };
+
 const ALLOWED_ORIGINS = ['https://mkyang.ai', 'https://www.mkyang.ai'];
 
+// Statuses set from provider reports (see /api/email-events); only
+// "unsubscribed" can opt in again
+const DO_NOT_MAIL = ['complained', 'bounced'];
+
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({ error: 'Method not allowed' });
@@ -27,83 +50,115 @@ export default async function handler(req, res) {
         return res.status(403).json({ error: 'Forbidden' });
     }
 
-    // Rate limiting
-    const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || 'unknown';
-    if (isRateLimited(ip)) {
-        return res.status(429).json({ error: 'Too many requests. Try again later.' });
-    }
-
-    const { email: rawEmail } = req.body || {};
+    const { email: rawEmail, ...fields } = req.body || {};
 
     // Validate & normalize email
-    if (!rawEmail || typeof rawEmail !== 'string') {
+    const email = normalizeEmail(rawEmail);
+    if (!email) {
         return res.status(400).json({ error: 'Valid email required' });
     }
-    const email = rawEmail.trim().toLowerCase();
-    if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-        return res.status(400).json({ error: 'Valid email required' });
+
+    const { limited } = await rateLimit(res, [{ key: `subscribe:ip:${clientIp(req)}`, ...IP_LIMIT }]);
+    if (limited) {
+        return res.status(429).json({ error: 'Too many requests. Try again later.' });
+    }
+
+    const { preferences, error } = parsePreferences(fields);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // Confirmation links are signed; without a secret they could be forged
+    if (!hasTokenSecret()) {
+        console.error('Subscribe error: UNSUBSCRIBE_SECRET is not set');
+        return res.status(500).json({ error: 'Subscriptions are not available right now' });
     }
 
     try {
-        // Check for duplicate subscription
-        const checkRes = await fetch(
-            `https://api.notion.com/v1/databases/${process.env.NOTION_SUBSCRIBERS_DB}/query`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
-                    'Notion-Version': '2022-06-28',
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    filter: {
-                        property: 'Email',
-                        title: { equals: email },
-                    },
-                    page_size: 1,
-                }),
-            }
-        );
-
-        if (checkRes.ok) {
-            const existing = await checkRes.json();
-            if (existing.results.length > 0) {
-                return res.status(200).json({ ok: true }); // silently accept duplicates
-            }
+        const store = subscriberStore();
+        const existing = await store.find(email);
+
+        if (existing?.status === 'active') {
+            return res.status(200).json({ ok: true }); // silently accept duplicates
+        }
+
+        // Never mail an address that reported us as spam or hard-bounced; the
+        // usual reply, so the form doesn't reveal that it's blocked
+        if (existing && DO_NOT_MAIL.includes(existing.status)) {
+            return res.status(200).json({ ok: true, pending: true });
+        }
+
+        // Only requests that would send mail count against the address
+        const { limited: addressLimited } = await rateLimit(res, [{ key: `subscribe:email:${email}`, ...EMAIL_LIMIT }]);
+        if (addressLimited) {
+            return res.status(429).json({ error: 'Too many requests. Try again later.' });
+        }
+
+        // New, still pending, expired or unsubscribed: (re)start the pending
+        // window and send a fresh confirmation link.
+        const subscribedAt = new Date().toISOString();
+        let subscriber = existing
+            ? await store.setStatus(existing, 'pending', { subscribedAt })
+            : await store.add(email, { status: 'pending', subscribedAt, ...preferences });
+        if (existing && Object.keys(preferences).length) {
+            subscriber = await store.setPreferences(subscriber, preferences);
         }
 
-        const response = await fetch('https://api.notion.com/v1/pages', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
-                'Notion-Version': '2022-06-28',
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                parent: { database_id: process.env.NOTION_SUBSCRIBERS_DB },
-                properties: {
-                    Email: {
-                        title: [{ text: { content: email } }],
-                    },
-                    'Subscribed At': {
-                        date: { start: new Date().toISOString() },
-                    },
-                    Status: {
-                        select: { name: 'active' },
-                    },
-                },
-            }),
-        });
-
-        if (response.ok) {
-            return res.status(200).json({ ok: true });
-        } else {
-            const err = await response.json();
-            console.error('Notion error:', JSON.stringify(err));
-            return res.status(500).json({ error: 'Failed to save subscription' });
+        const html = buildConfirmEmailHtml(confirmUrl(email));
+        const [sent] = await emailTransport().send([{
+            from: 'Michael Yang <blog@mkyang.ai>',
+            to: email,
+            subject: 'Confirm your subscription to mkyang.ai',
+            html,
+            text: htmlToPlainText(html),
+        }]);
+
+        if (!sent.ok) {
+            console.error('Confirmation email error:', sent.error);
+            if (sent.hardBounce) await store.setStatus(subscriber, 'bounced');
+            return res.status(sent.hardBounce ? 400 : 500).json({
+                error: sent.hardBounce ? 'That address does not accept email' : 'Failed to send confirmation email',
+            });
         }
+
+        return res.status(200).json({ ok: true, pending: true });
     } catch (err) {
         console.error('Subscribe error:', err.message);
         return res.status(500).json({ error: 'Internal error' });
     }
 }
+
+// ── Email template ────────────────────────────────────────────────────
+function buildConfirmEmailHtml(url) {
+    const hours = Math.round(PENDING_EXPIRY_MS / (60 * 60 * 1000));
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"></head>
+<body style="margin:0;padding:0;background:#0a0a0a;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+<div style="max-width:600px;margin:0 auto;padding:40px 24px;">
+
+  <!-- Header -->
+  <div style="margin-bottom:32px;">
+    <a href="${SITE_URL}" style="color:#c9a84c;text-decoration:none;font-size:14px;letter-spacing:0.1em;">mkyang.ai</a>
+  </div>
+
+  <!-- Content -->
+  <div style="border-top:1px solid #222;padding-top:32px;">
+    <p style="font-size:12px;color:#666;letter-spacing:0.15em;text-transform:uppercase;margin:0 0 16px;">One More Step</p>
+    <h1 style="font-size:28px;color:#f0ede6;margin:0 0 12px;line-height:1.3;font-weight:700;">Confirm your subscription</h1>
+    <p style="font-size:16px;color:#999;line-height:1.6;margin:0 0 24px;">Click below to start getting new posts from mkyang.ai by email. The link expires in ${hours} hours.</p>
+    <a href="${url}" style="display:inline-block;background:#c9a84c;color:#0a0a0a;text-decoration:none;padding:12px 28px;font-size:14px;font-weight:500;border-radius:4px;letter-spacing:0.03em;">Confirm Subscription</a>
+  </div>
+
+  <!-- Footer -->
+  <div style="border-top:1px solid #222;margin-top:48px;padding-top:20px;">
+    <p style="font-size:12px;color:#555;margin:0;line-height:1.6;">
+      Someone (hopefully you) entered this address at <a href="${SITE_URL}/blog" style="color:#c9a84c;text-decoration:none;">mkyang.ai/blog</a>.<br>
+      If that wasn't you, ignore this email and you won't hear from us again.
+    </p>
+  </div>
+
+</div>
+</body>
+</html>`;
+}
@@ -1,111 +1,141 @@
 /**
- * GET /api/unsubscribe?email=xxx
+ * GET  /api/unsubscribe?email=xxx&token=...
+ * POST /api/unsubscribe?email=xxx&token=...   (body: List-Unsubscribe=One-Click)
+ * POST /api/unsubscribe?email=xxx&token=...   (body: action=resubscribe)
  *
- * Marks a subscriber as inactive in Notion.
- * Returns a simple HTML confirmation page.
+ * Marks a subscriber as unsubscribed. GET is the footer link in every
+ * newsletter; POST is the RFC 8058 one-click request mail clients send for
+ * the List-Unsubscribe-Post header. Both need a valid "unsubscribe" token.
+ *
+ * The confirmation page offers a re-subscribe button, which POSTs back with
+ * a short-lived "resubscribe" token and reactivates the address (it already
+ * proved it receives mail, so no second opt-in).
+ * Returns a simple HTML page.
  */
 
-const NOTION_API = 'https://api.notion.com/v1';
+import { subscriberStore } from './_lib/subscriber-store.js';
+import { normalizeEmail } from './_lib/email-address.js';
+import { hasTokenSecret, signToken, verifyToken } from './_lib/tokens.js';
+import { preferencesUrl } from './_lib/preferences.js';
+import { rateLimit, clientIp } from './_lib/rate-limit.js';
+
+// How long the re-subscribe button on the confirmation page works
+const RESUBSCRIBE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Failed link checks, per IP and per address. One-click POSTs come from mail
+// providers' servers, many users behind one IP, so those are only limited
+// per address.
+const IP_LIMIT = { limit: 20, windowMs: 60 * 1000 };
+const EMAIL_LIMIT = { limit: 10, windowMs: 60 * 60 * 1000 };
 
 export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).send(page({ title: 'Oops', message: 'Method not allowed.' }));
+    }
+
     const rawEmail = req.query.email;
     const token = req.query.token;
+    const resubscribe = req.method === 'POST' && req.body?.action === 'resubscribe';
 
     if (!rawEmail) {
-        return res.status(400).send(page('Missing email parameter.', false));
+        return res.status(400).send(page({ title: 'Oops', message: 'Missing email parameter.' }));
     }
 
     // Validate & normalize email
-    const email = rawEmail.trim().toLowerCase();
-    if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-        return res.status(400).send(page('Invalid email.', false));
+    const email = normalizeEmail(rawEmail);
+    if (!email) {
+        return res.status(400).send(page({ title: 'Oops', message: 'Invalid email.' }));
     }
 
-    // HMAC token verification (if UNSUBSCRIBE_SECRET is configured)
-    if (process.env.UNSUBSCRIBE_SECRET) {
-        const crypto = await import('crypto');
-        const expected = crypto.createHmac('sha256', process.env.UNSUBSCRIBE_SECRET)
-            .update(email).digest('hex').slice(0, 16);
-        if (!token || token !== expected) {
-            return res.status(403).send(page('Invalid unsubscribe link.', false));
+    // Links are always signed; without a secret anyone could unsubscribe anyone
+    if (!hasTokenSecret()) {
+        console.error('Unsubscribe error: UNSUBSCRIBE_SECRET is not set');
+        return res.status(500).send(page({ title: 'Oops', message: 'Something went wrong. Please try again.' }));
+    }
+    const verified = verifyToken(resubscribe ? 'resubscribe' : 'unsubscribe', email, token);
+    if (!verified.ok) {
+        // Only failed attempts are limited, so forged requests can't lock a
+        // subscriber out of their own (one-click) unsubscribe
+        const oneClick = req.method === 'POST' && !resubscribe;
+        const { limited } = await rateLimit(res, [
+            ...(oneClick ? [] : [{ key: `unsubscribe:ip:${clientIp(req)}`, ...IP_LIMIT }]),
+            { key: `unsubscribe:email:${email}`, ...EMAIL_LIMIT },
+        ]);
+        if (limited) {
+            return res.status(429).send(page({ title: 'Oops', message: 'Too many requests. Try again later.' }));
         }
+        return res.status(403).send(page({
+            title: 'Oops',
+            message: verified.expired ? 'This link has expired.' : 'Invalid unsubscribe link.',
+        }));
     }
 
     try {
-        // Find the subscriber in Notion
-        const searchRes = await fetch(
-            `${NOTION_API}/databases/${process.env.NOTION_SUBSCRIBERS_DB}/query`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
-                    'Notion-Version': '2022-06-28',
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    filter: {
-                        property: 'Email',
-                        title: { equals: email },
-                    },
-                }),
-            }
-        );
-
-        if (!searchRes.ok) {
-            return res.status(500).send(page('Something went wrong. Please try again.', false));
+        const store = subscriberStore();
+        const subscriber = await store.find(email);
+        if (!subscriber) {
+            return res.status(200).send(page({ title: 'Oops', message: 'This email is not subscribed.' }));
         }
 
-        const data = await searchRes.json();
-        if (data.results.length === 0) {
-            return res.status(200).send(page('This email is not subscribed.', false));
+        if (resubscribe) {
+            if (subscriber.status !== 'unsubscribed' && subscriber.status !== 'active') {
+                return res.status(409).send(page({ title: 'Oops', message: 'This address can\'t be re-subscribed here. Please subscribe again on the blog.' }));
+            }
+            await store.setStatus(subscriber, 'active', { subscribedAt: new Date().toISOString() });
+            return res.status(200).send(page({
+                title: 'Welcome Back',
+                message: 'You\'re subscribed again.',
+                success: true,
+                extra: `<p><a href="${preferencesUrl(email)}">Manage preferences</a></p>`,
+            }));
         }
 
-        // Update status to inactive
-        const pageId = data.results[0].id;
-        const updateRes = await fetch(`${NOTION_API}/pages/${pageId}`, {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${process.env.NOTION_TOKEN}`,
-                'Notion-Version': '2022-06-28',
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                properties: {
-                    Status: { select: { name: 'unsubscribed' } },
-                },
-            }),
-        });
-
-        if (updateRes.ok) {
-            return res.status(200).send(page('You have been unsubscribed. Sorry to see you go.', true));
-        } else {
-            return res.status(500).send(page('Something went wrong. Please try again.', false));
-        }
+        await store.setStatus(subscriber, 'unsubscribed');
+        return res.status(200).send(page({
+            title: 'Unsubscribed',
+            message: 'You have been unsubscribed. Sorry to see you go.',
+            success: true,
+            extra: resubscribeForm(email),
+        }));
     } catch (err) {
         console.error('Unsubscribe error:', err.message);
-        return res.status(500).send(page('Something went wrong. Please try again.', false));
+        return res.status(500).send(page({ title: 'Oops', message: 'Something went wrong. Please try again.' }));
     }
 }
 
-function page(message, success) {
+function resubscribeForm(email) {
+    const token = signToken('resubscribe', email, { ttlMs: RESUBSCRIBE_TTL_MS });
+    const action = `/api/unsubscribe?email=${encodeURIComponent(email)}&amp;token=${token}`;
+    return `<form method="POST" action="${action}">
+    <input type="hidden" name="action" value="resubscribe">
+    <button type="submit">Unsubscribed by mistake? Re-subscribe</button>
+  </form>`;
+}
+
+function page({ title, message, success = false, extra = '' }) {
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
 <meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0">
+<meta name="robots" content="noindex">
 <title>Unsubscribe - mkyang.ai</title>
 <style>
   body { margin:0; background:#0a0a0a; color:#f0ede6; font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif; display:flex; align-items:center; justify-content:center; min-height:100vh; }
   .box { text-align:center; max-width:400px; padding:40px 24px; }
   h1 { font-size:20px; font-weight:600; margin:0 0 12px; color:${success ? '#4ade80' : '#f87171'}; }
   p { font-size:15px; color:#999; line-height:1.6; margin:0 0 24px; }
+  form { margin:0 0 24px; }
+  button { background:none; color:#c9a84c; border:1px solid #c9a84c; border-radius:4px; padding:10px 20px; font-size:14px; cursor:pointer; }
+  button:hover { background:#c9a84c; color:#0a0a0a; }
   a { color:#c9a84c; text-decoration:none; font-size:14px; }
   a:hover { text-decoration:underline; }
 </style>
 </head>
 <body>
 <div class="box">
-  <h1>${success ? 'Unsubscribed' : 'Oops'}</h1>
+  <h1>${title}</h1>
   <p>${message}</p>
+  ${extra}
   <a href="https://mkyang.ai/blog">Back to Blog</a>
 </div>
 </body>
@@ -0,0 +1,191 @@
+/**
+ * Offline full-text search for the blog index.
+ * Loads /blog/search-index.json (written by scripts/build-blog.js) on first
+ * use, then ranks and highlights matches entirely in the browser. The index
+ * has each post's title, tags, description and the opening of its text.
+ *
+ * English text is split into words; Chinese text has no spaces, so CJK runs
+ * are indexed as single characters plus overlapping bigrams.
+ */
+
+const SEARCH_INDEX_URL = '/blog/search-index.json';
+const CJK = /[\u3400-\u9fff\uf900-\ufaff]/;
+const FIELD_WEIGHTS = { title: 5, tags: 3, text: 1 };
+
+function tokenize(text, { query = false } = {}) {
+    const tokens = [];
+    const re = /[a-z0-9]+(?:['’][a-z]+)?|[\u3400-\u9fff\uf900-\ufaff]+/g;
+    for (const [run] of (text || '').toLowerCase().matchAll(re)) {
+        if (CJK.test(run)) {
+            // Queries only need bigrams (more precise); documents carry both
+            if (!query || run.length === 1) for (const ch of run) tokens.push(ch);
+            for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+        } else {
+            const word = run.replace(/['’].*$/, '');
+            if (word.length > 1 || /\d/.test(word)) tokens.push(word);
+        }
+    }
+    return tokens;
+}
+
+function buildIndex(docs) {
+    const terms = new Map(); // token -> Map(docIdx -> weighted tf)
+    docs.forEach((doc, idx) => {
+        const fields = {
+            title: `${doc.title} ${doc.title_zh || ''}`,
+            tags: (doc.tags || []).join(' '),
+            text: `${doc.description || ''} ${doc.en || ''} ${doc.zh || ''}`,
+        };
+        for (const [field, value] of Object.entries(fields)) {
+            for (const token of tokenize(value)) {
+                if (!terms.has(token)) terms.set(token, new Map());
+                const postings = terms.get(token);
+                postings.set(idx, (postings.get(idx) || 0) + FIELD_WEIGHTS[field]);
+            }
+        }
+    });
+    return { docs, terms, vocabulary: [...terms.keys()] };
+}
+
+// Every query term must match; the last English term also matches as a prefix
+// so results appear while typing.
+function search(index, query) {
+    const qTokens = [...new Set(tokenize(query, { query: true }))];
+    if (!qTokens.length) return [];
+    const n = index.docs.length;
+    let scores = null;
+
+    qTokens.forEach((token, i) => {
+        const matches = new Map();
+        const expand = i === qTokens.length - 1 && !CJK.test(token) && token.length >= 2
+            ? index.vocabulary.filter(t => t.startsWith(token))
+            : [token];
+        for (const t of expand) {
+            const postings = index.terms.get(t);
+            if (!postings) continue;
+            const idf = Math.log(1 + n / postings.size);
+            const exact = t === token ? 1 : 0.5;
+            for (const [doc, tf] of postings) {
+                const score = exact * idf * (tf / (tf + 2));
+                matches.set(doc, Math.max(matches.get(doc) || 0, score));
+            }
+        }
+        if (scores === null) {
+            scores = matches;
+        } else {
+            for (const doc of [...scores.keys()]) {
+                if (matches.has(doc)) scores.set(doc, scores.get(doc) + matches.get(doc));
+                else scores.delete(doc);
+            }
+        }
+    });
+
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([doc]) => index.docs[doc]);
+}
+
+// ── Rendering ──────────────────────────────────────────────────────────
+function escapeHtml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function queryPattern(query) {
+    const parts = (query.toLowerCase().match(/[a-z0-9]+|[\u3400-\u9fff\uf900-\ufaff]+/g) || [])
+        .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .sort((a, b) => b.length - a.length);
+    return parts.length ? new RegExp(`(${parts.join('|')})`, 'gi') : null;
+}
+
+function highlight(text, pattern) {
+    const safe = escapeHtml(text);
+    return pattern ? safe.replace(pattern, '<mark>$1</mark>') : safe;
+}
+
+// ~160 characters around the first hit, preferring the language that matched
+function snippet(doc, pattern) {
+    for (const lang of ['en', 'zh']) {
+        const text = doc[lang] || '';
+        pattern.lastIndex = 0;
+        const hit = pattern.exec(text);
+        if (!hit) continue;
+        const start = Math.max(0, hit.index - 60);
+        const end = Math.min(text.length, hit.index + 100);
+        const excerpt = (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+        return { lang, html: highlight(excerpt, pattern) };
+    }
+    return { lang: 'en', html: highlight(doc.description || '', pattern) };
+}
+
+function resultCard(doc, pattern) {
+    const { lang, html } = snippet(doc, pattern);
+    const href = lang === 'zh' ? `${doc.url}?lang=zh` : doc.url;
+    return `
+            <div class="post-card">
+                <a href="${escapeHtml(href)}" class="post-link">
+                    <time class="post-date">${escapeHtml(doc.date_label)}</time>
+                    <h2 class="post-title">${highlight(doc.title, pattern)}</h2>${doc.title_zh ? `
+                    <p class="post-title-zh">${highlight(doc.title_zh, pattern)}</p>` : ''}
+                    <p class="post-desc search-snippet">${html}</p>
+                </a>
+            </div>`;
+}
+
+// ── Wiring ─────────────────────────────────────────────────────────────
+const searchInput = document.getElementById('searchInput');
+const searchResults = document.getElementById('searchResults');
+const postList = document.getElementById('postList');
+let indexPromise = null;
+
+function loadIndex() {
+    if (!indexPromise) {
+        indexPromise = fetch(SEARCH_INDEX_URL)
+            .then(res => res.json())
+            .then(data => buildIndex(data.docs))
+            .catch(() => { indexPromise = null; return null; });
+    }
+    return indexPromise;
+}
+
+async function runSearch() {
+    const query = searchInput.value.trim();
+    const url = new URL(location.href);
+    if (query) url.searchParams.set('q', query); else url.searchParams.delete('q');
+    history.replaceState(null, '', url);
+
+    if (!query) {
+        searchResults.hidden = true;
+        postList.hidden = false;
+        return;
+    }
+
+    const index = await loadIndex();
+    if (query !== searchInput.value.trim()) return; // superseded while loading
+    if (!index) {
+        searchResults.innerHTML = '<p class="search-empty">Search is unavailable right now.</p>';
+    } else {
+        const pattern = queryPattern(query);
+        const results = search(index, query);
+        searchResults.innerHTML = results.length
+            ? results.map(doc => resultCard(doc, pattern)).join('\n')
+            : `<p class="search-empty">No posts match &ldquo;${escapeHtml(query)}&rdquo;.</p>`;
+    }
+    searchResults.hidden = false;
+    postList.hidden = true;
+    postList.classList.add('settled');
+}
+
+searchInput.addEventListener('focus', loadIndex, { once: true });
+searchInput.addEventListener('input', runSearch);
+searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        searchInput.value = '';
+        runSearch();
+    }
+});
+
+const initialQuery = new URLSearchParams(location.search).get('q');
+if (initialQuery) {
+    searchInput.value = initialQuery;
+    runSearch();
+}
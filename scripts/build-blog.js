@@ -1,46 +1,488 @@
 #!/usr/bin/env node
 /**
  * Blog index generator for mkyang.ai
- * Scans blog/*.html for BLOG_META blocks, generates blog/index.html
+ * Compiles posts/*.md (front matter + Markdown) into blog/<slug>.html
+ * through scripts/blog-template.html, then scans blog/*.html for
+ * BLOG_META blocks and generates blog/index.html and feed.xml.
  * Zero dependencies — uses only Node.js built-ins.
  *
- * Usage: node scripts/build-blog.js
+ * Every post's meta is validated first; any problem fails the build with
+ * file:line messages before anything is written.
+ *
+ * Scheduled posts: a post whose `date` (optionally with a time and UTC
+ * offset, e.g. "2026-10-20 09:00+08:00") is still in the future is left out
+ * of the index, feeds, tag pages and search until a build runs after it is
+ * due. Its page is still written, just not linked. scripts/publish-due.js
+ * (run on a cron by .github/workflows/publish.yml) triggers that build.
+ *
+ * Drafts: a posts/*.md source with `status: draft` is not written to
+ * blog/<slug>.html and appears nowhere public. It is rendered instead at
+ * blog/preview/<token>/<slug>.html, with a DRAFT banner and noindex, for
+ * review links; the token is an HMAC of the slug with DRAFT_PREVIEW_SECRET,
+ * so it can't be guessed and stays the same across builds. Without the
+ * secret drafts are skipped. blog/preview/ is fully generated and
+ * git-ignored, and vercel.json redirects /posts/* so the Markdown sources
+ * themselves aren't served.
+ *
+ * Incremental: blog/.build-manifest.json (a git-ignored cache) maps each
+ * output to a hash of its inputs — the source files it is built from plus
+ * the build code and template — and a hash of the content last written.
+ * Outputs whose inputs haven't changed and whose file still has that content
+ * are neither re-rendered nor rewritten; one changed underneath the build (a
+ * checkout, a merge, a hand edit) is rendered again. Feed dates come from the posts
+ * (lastBuildDate is the newest post's), so an unchanged blog rebuilds to
+ * byte-identical files.
+ *
+ * Usage: node scripts/build-blog.js [--check | --watch] [--force]
+ *   --check  validate only, write nothing
+ *   --watch  build, then rebuild whenever a post, the template or the build
+ *            scripts change (Ctrl+C to stop)
+ *   --force  ignore the manifest and re-render everything
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { parseFrontMatter, renderMarkdown, splitLanguages } = require('./lib/markdown');
+const { parseMeta, parseDate, isDue, draftToken, splitTags, tagSlug } = require('./lib/meta');
+const { validatePosts } = require('./lib/validate');
+const { htmlToText, extractArticle } = require('./lib/article');
 
 const ROOT_DIR = path.join(__dirname, '..');
 const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const POSTS_DIR = path.join(ROOT_DIR, 'posts');
+const TEMPLATE = path.join(__dirname, 'blog-template.html');
 const OUTPUT = path.join(BLOG_DIR, 'index.html');
 const RSS_OUTPUT = path.join(ROOT_DIR, 'feed.xml');
+const RSS_ZH_OUTPUT = path.join(ROOT_DIR, 'feed-zh.xml');
+const ATOM_OUTPUT = path.join(ROOT_DIR, 'atom.xml');
+const JSON_FEED_OUTPUT = path.join(ROOT_DIR, 'feed.json');
+const TAG_DIR = path.join(BLOG_DIR, 'tag');
+const SEARCH_OUTPUT = path.join(BLOG_DIR, 'search-index.json');
+const PREVIEW_DIR = path.join(BLOG_DIR, 'preview');
+const MANIFEST = path.join(BLOG_DIR, '.build-manifest.json');
 const SITE_URL = 'https://mkyang.ai';
+const CHECK_ONLY = process.argv.includes('--check');
+const WATCH = process.argv.includes('--watch');
+const FORCE = process.argv.includes('--force');
 
-// ── Parse BLOG_META from an HTML file ──────────────────────────────────
-function parseMeta(filePath) {
-    const html = fs.readFileSync(filePath, 'utf-8');
-    const match = html.match(/<!--\s*\nBLOG_META\n([\s\S]*?)\nEND_META\s*\n-->/);
-    if (!match) return null;
-
-    const meta = {};
-    for (const line of match[1].split('\n')) {
-        const idx = line.indexOf(':');
-        if (idx === -1) continue;
-        const key = line.slice(0, idx).trim();
-        const val = line.slice(idx + 1).trim();
-        if (key && val) meta[key] = val;
+function fileHash(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+}
+
+// ── Watch mode ─────────────────────────────────────────────────────────
+// Each build runs in a fresh child process, so edits to the build scripts
+// apply too and a failed build doesn't stop the watcher. Files are compared
+// by content hash, which ignores the build's own writes and editor saves
+// that change nothing.
+if (WATCH) {
+    const { spawnSync } = require('child_process');
+    const args = process.argv.slice(2).filter(a => a !== '--watch');
+    const watched = [POSTS_DIR, BLOG_DIR, __dirname, path.join(__dirname, 'lib')].filter(d => fs.existsSync(d));
+    const snapshot = () => new Map(watched.flatMap(dir => fs.readdirSync(dir, { withFileTypes: true })
+        .filter(e => e.isFile())
+        .map(e => [path.join(dir, e.name), fileHash(path.join(dir, e.name))])));
+
+    let hashes = new Map();
+    let timer = null;
+    const rebuild = () => {
+        spawnSync(process.execPath, [__filename, ...args], { stdio: 'inherit' });
+        hashes = snapshot();
+        console.log('👀 Watching for changes (Ctrl+C to stop)');
+    };
+    const changed = file => {
+        // Posts, share cards, the template and the build scripts; not editor temp files
+        if (!/\.(md|html|png|js)$/.test(file)) return;
+        const hash = fs.existsSync(file) && fs.statSync(file).isFile() ? fileHash(file) : undefined;
+        if (hashes.get(file) === hash) return;
+        console.log(`\n🔄 ${path.relative(ROOT_DIR, file)} changed`);
+        clearTimeout(timer);
+        timer = setTimeout(rebuild, 100);
+    };
+
+    rebuild();
+    for (const dir of watched) {
+        fs.watch(dir, (event, name) => name && changed(path.join(dir, name)));
     }
-    meta.slug = path.basename(filePath);
-    return meta;
+    return; // the watcher only supervises; the code below runs in each child build
+}
+
+// ── Build manifest ─────────────────────────────────────────────────────
+// Output path (relative to the repo) -> { inputs, output }: hashes of what it
+// was built from and of the content it was left with. Every output written
+// or confirmed this run is recorded in nextManifest, so outputs that are no
+// longer produced drop out.
+const manifest = !FORCE && fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf-8')) : {};
+const nextManifest = {};
+const libDir = path.join(__dirname, 'lib');
+const codeHash = [__filename, TEMPLATE, ...fs.readdirSync(libDir).sort().map(f => path.join(libDir, f))]
+    .map(fileHash).join('');
+let unchangedOutputs = 0;
+
+function outputKey(file) {
+    return path.relative(ROOT_DIR, file).split(path.sep).join('/');
 }
 
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * Writes render() to `file` unless the manifest has it built from the same
+ * inputs (any JSON-able value) and the file still holds what was written
+ * then; render is only called when needed, and a file whose content comes
+ * out the same isn't touched. Returns whether the file was written.
+ */
+function writeOutput(file, inputs, render) {
+    const key = outputKey(file);
+    const hash = crypto.createHash('sha256').update(codeHash).update(JSON.stringify(inputs)).digest('hex').slice(0, 16);
+    const previous = manifest[key];
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+    if (previous?.inputs === hash && current !== null && contentHash(current) === previous.output) {
+        nextManifest[key] = previous;
+        unchangedOutputs++;
+        return false;
+    }
+    const content = render();
+    nextManifest[key] = { inputs: hash, output: contentHash(content) };
+    if (current === content) {
+        unchangedOutputs++;
+        return false;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return true;
+}
+
+// ── Compile Markdown sources into blog/<slug>.html ─────────────────────
+// Generated pages carry GENERATED_MARKER so a hand-authored HTML post with
+// the same slug is never overwritten.
+//
+// Bilingual posts come from either one file split by `<!-- lang:en -->` /
+// `<!-- lang:zh -->` marker lines, or a companion posts/<slug>.zh.md whose
+// title/description front matter fills title_zh/description_zh.
+const GENERATED_MARKER = '<!-- Generated by scripts/build-blog.js';
+
+// Toggle script for generated bilingual posts. The choice is kept in
+// localStorage so it carries across posts; ?lang=zh|en overrides it.
+const LANG_SCRIPT = `
+
+    <script>
+        const LANG_KEY = 'mkyang-lang';
+        const toggle = document.getElementById('langToggle');
+        const contents = {
+            en: document.getElementById('content-en'),
+            zh: document.getElementById('content-zh'),
+        };
+        const labels = {
+            en: document.querySelector('.lang-label[data-lang="en"]'),
+            zh: document.querySelector('.lang-label[data-lang="zh"]'),
+        };
+
+        function setLang(lang, scroll = true) {
+            const other = lang === 'zh' ? 'en' : 'zh';
+            toggle.checked = lang === 'zh';
+            contents[other].classList.remove('active');
+            contents[lang].classList.add('active');
+            labels[other].classList.remove('active');
+            labels[lang].classList.add('active');
+            document.documentElement.lang = lang === 'zh' ? 'zh-CN' : 'en';
+            document.title = contents[lang].dataset.title;
+            try { localStorage.setItem(LANG_KEY, lang); } catch {}
+            if (scroll) window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+
+        const requested = new URLSearchParams(location.search).get('lang');
+        let saved = null;
+        try { saved = localStorage.getItem(LANG_KEY); } catch {}
+        const initial = ['en', 'zh'].includes(requested) ? requested : saved;
+        if (initial === 'zh') setLang('zh', false);
+
+        toggle.addEventListener('change', () => setLang(toggle.checked ? 'zh' : 'en'));
+        labels.en.addEventListener('click', () => setLang('en'));
+        labels.zh.addEventListener('click', () => setLang('zh'));
+    </script>`;
+
+function formatDateZh(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return `${y} 年 ${m} 月 ${d} 日`;
+}
+
+// Indent rendered Markdown for readability, except inside <pre>
+function indentHtml(html, pad) {
+    let inPre = false;
+    return html.split('\n').map(l => {
+        const out = l && !inPre ? pad + l : l;
+        if (/<pre[\s>]/.test(l)) inPre = true;
+        if (l.includes('</pre>')) inPre = false;
+        return out;
+    }).join('\n');
+}
+
+function articleBody({ date, title, subtitle, tags, bodyHtml }, pad) {
+    return `${pad}<div class="article-meta">Michael Yang &middot; ${date}</div>
+${pad}<h1 class="article-title">${title}</h1>
+${subtitle ? `${pad}<p class="article-subtitle">${subtitle}</p>\n` : ''}${tags ? `${pad}<div class="article-tags">${tags}</div>\n` : ''}${pad}<div class="article-rule"></div>
+
+${pad}<div class="prose">
+${indentHtml(bodyHtml, pad + '    ')}
+${pad}</div>`;
+}
+
+function renderPost(meta, bodies, sourceName) {
+    const template = fs.readFileSync(TEMPLATE, 'utf-8');
+    const metaBlock = Object.entries(meta).map(([k, v]) => `${k}: ${v}`).join('\n');
+    const day = parseDate(meta.date).day;
+    const year = day.slice(0, 4);
+    const bilingual = bodies.zh !== undefined;
+    const attr = s => s.replace(/"/g, '&quot;');
+
+    const en = {
+        date: formatDate(day),
+        title: meta.title,
+        subtitle: meta.description,
+        tags: tagLinks(splitTags(meta.tags)),
+        bodyHtml: renderMarkdown(bodies.en),
+    };
+
+    let article;
+    if (bilingual) {
+        const zh = {
+            date: formatDateZh(day),
+            title: meta.title_zh || meta.title,
+            subtitle: meta.description_zh || meta.description,
+            tags: en.tags,
+            bodyHtml: renderMarkdown(bodies.zh),
+        };
+        article = `
+
+            <!-- ==================== ENGLISH ==================== -->
+            <div class="lang-content active" id="content-en" data-title="${attr(en.title)} - Michael Yang">
+${articleBody(en, '                ')}
+            </div>
+
+            <!-- ==================== CHINESE ==================== -->
+            <div class="lang-content" id="content-zh" data-title="${attr(zh.title)} - Michael Yang">
+${articleBody(zh, '                ')}
+            </div>
+
+            `;
+    } else {
+        article = `\n${articleBody(en, '            ')}\n\n            `;
+    }
+
+    return template
+        .replace(/<title>POST_TITLE - Michael Yang<\/title>/, () => `<title>${meta.title} - Michael Yang</title>`)
+        .replace(/<!--\s*\nBLOG_META\n[\s\S]*?\nEND_META\s*\n-->/, () =>
+            `<!--\nBLOG_META\n${metaBlock}\nEND_META\n-->\n${GENERATED_MARKER} from posts/${sourceName} — edit the source, not this file. -->`)
+        // The template keeps the switch markup commented out; uncomment it for bilingual posts
+        .replace(/[ \t]*<!-- Uncomment for bilingual posts:\n(\s*<div class="lang-switch">[\s\S]*?<\/div>)\n\s*-->\n/, (_, sw) => bilingual ? sw.replace(/^\n/, '') + '\n' : '')
+        .replace(/\n\s*<!-- Uncomment for bilingual posts:\s*<script>[\s\S]*?-->/, () => bilingual ? LANG_SCRIPT : '')
+        .replace(/\n\s*<div class="article-meta">[\s\S]*?(?=<!-- Footer -->)/, () => article)
+        .replace(/&copy; \d{4} Michael Yang/, `&copy; ${year} Michael Yang`);
+}
+
+function compileMarkdownPosts() {
+    const sources = fs.existsSync(POSTS_DIR)
+        ? fs.readdirSync(POSTS_DIR).filter(f => f.endsWith('.md') && !f.endsWith('.zh.md'))
+        : [];
+    const previews = new Set();
+    let compiled = 0;
+
+    for (const file of sources) {
+        const source = fs.readFileSync(path.join(POSTS_DIR, file), 'utf-8');
+        const { meta, body } = parseFrontMatter(source);
+        const slug = file.replace(/\.md$/, '.html');
+        const outPath = path.join(BLOG_DIR, slug);
+
+        if (fs.existsSync(outPath) && !fs.readFileSync(outPath, 'utf-8').includes(GENERATED_MARKER)) {
+            throw new Error(`posts/${file} would overwrite hand-authored blog/${slug}`);
+        }
+
+        const bodies = splitLanguages(body);
+        const zhFile = path.join(POSTS_DIR, file.replace(/\.md$/, '.zh.md'));
+        const zhSource = fs.existsSync(zhFile) ? fs.readFileSync(zhFile, 'utf-8') : null;
+        if (zhSource !== null) {
+            const zh = parseFrontMatter(zhSource);
+            if (zh.meta.title && !meta.title_zh) meta.title_zh = zh.meta.title;
+            if (zh.meta.description && !meta.description_zh) meta.description_zh = zh.meta.description;
+            bodies.zh = (bodies.zh ? bodies.zh + '\n\n' : '') + zh.body;
+        }
+        if (!bodies.zh.trim()) delete bodies.zh;
+        if (bodies.zh !== undefined) meta.bilingual = 'true';
+
+        if (meta.status === 'draft') {
+            // Back to draft after being published: take the public page down
+            if (fs.existsSync(outPath)) fs.unlinkSync(outPath);
+            const token = draftToken(slug, process.env.DRAFT_PREVIEW_SECRET);
+            if (!token) {
+                console.warn(`⚠️  Skipped draft posts/${file}: set DRAFT_PREVIEW_SECRET to build its preview`);
+                continue;
+            }
+            const previewPath = path.join(PREVIEW_DIR, token, slug);
+            previews.add(previewPath);
+            writeOutput(previewPath, { source, zhSource }, () => markDraft(renderPost(meta, bodies, file)));
+            console.log(`👀 Draft preview: ${SITE_URL}/blog/preview/${token}/${slug.replace(/\.html$/, '')}`);
+            continue;
+        }
+
+        if (writeOutput(outPath, { source, zhSource }, () => renderPost(meta, bodies, file))) compiled++;
+    }
+
+    // Previews of posts that were published, deleted or renamed since
+    if (fs.existsSync(PREVIEW_DIR)) {
+        for (const token of fs.readdirSync(PREVIEW_DIR)) {
+            const dir = path.join(PREVIEW_DIR, token);
+            for (const f of fs.readdirSync(dir)) {
+                if (!previews.has(path.join(dir, f))) fs.unlinkSync(path.join(dir, f));
+            }
+            if (!fs.readdirSync(dir).length) fs.rmdirSync(dir);
+        }
+    }
+    return compiled;
+}
+
+// ── Drafts ─────────────────────────────────────────────────────────────
+const DRAFT_BANNER = `
+    <div style="position:sticky;top:0;z-index:1000;background:#c9a84c;color:#0a0a0a;text-align:center;padding:8px 16px;font:600 13px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;letter-spacing:0.05em;">
+        DRAFT &middot; Not published yet. Please don't share this link.
+    </div>`;
+
+function markDraft(html) {
+    return html
+        .replace(/<title>/, '<title>[Draft] ')
+        .replace(/<\/head>/, '    <meta name="robots" content="noindex, nofollow">\n</head>')
+        .replace(/<body>/, `<body>${DRAFT_BANNER}`);
+}
+
+// ── Validate meta ──────────────────────────────────────────────────────
+const problems = validatePosts({ blogDir: BLOG_DIR, postsDir: POSTS_DIR, generatedMarker: GENERATED_MARKER, rootDir: ROOT_DIR });
+if (problems.length) {
+    for (const { file, line, message } of problems) console.error(`❌ ${file}:${line}: ${message}`);
+    console.error(`\n${problems.length} problem(s) found${CHECK_ONLY ? '' : '; nothing was written'}.`);
+    process.exit(1);
+}
+if (CHECK_ONLY) {
+    console.log('✅ All post meta is valid');
+    process.exit(0);
+}
+
+const compiled = compileMarkdownPosts();
+if (compiled) console.log(`✅ Compiled ${compiled} Markdown post(s) from ${POSTS_DIR}`);
+
 // ── Collect all posts ──────────────────────────────────────────────────
-const posts = fs.readdirSync(BLOG_DIR)
+const allPosts = fs.readdirSync(BLOG_DIR)
     .filter(f => f.endsWith('.html') && f !== 'index.html')
     .map(f => parseMeta(path.join(BLOG_DIR, f)))
-    .filter(Boolean)
-    .filter(p => p.hidden !== 'true')
-    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    .filter(Boolean);
+
+const buildTime = Date.now();
+const scheduled = allPosts.filter(p => p.hidden !== 'true' && !isDue(p, buildTime));
+for (const p of scheduled) console.log(`⏳ Scheduled: ${p.slug} (due ${p.publishAt})`);
+
+const posts = allPosts
+    .filter(p => p.hidden !== 'true' && isDue(p, buildTime))
+    .sort((a, b) => (b.publishAt || '').localeCompare(a.publishAt || ''));
+
+// Tag slug -> { name, posts }, for the tag archives and the subscribe form
+const tagIndex = new Map();
+for (const p of posts) {
+    for (const name of splitTags(p.tags)) {
+        const slug = tagSlug(name);
+        if (!slug) continue;
+        if (!tagIndex.has(slug)) tagIndex.set(slug, { name, posts: [] });
+        tagIndex.get(slug).posts.push(p);
+    }
+}
+
+// ── Social meta: Open Graph, Twitter card, JSON-LD ────────────────────
+// Rewritten in every post's <head> from BLOG_META on each build: existing
+// og:/article:/twitter: tags, description, canonical and the BlogPosting
+// JSON-LD are dropped and a fresh block is inserted above BLOG_META.
+const SOCIAL_TAGS = /^[ \t]*<meta (?:property|name)="(?:og:[^"]*|article:[^"]*|twitter:[^"]*|description)"[^>]*>\n/gm;
+const CANONICAL_TAG = /^[ \t]*<link rel="canonical"[^>]*>\n/gm;
+const JSON_LD_TAG = /^[ \t]*<script type="application\/ld\+json">[\s\S]*?<\/script>\n/gm;
+
+function postUrl(p) {
+    return `${SITE_URL}/blog/${p.slug.replace(/\.html$/, '')}`;
+}
+
+// Explicit `image` meta, else a card rendered next to the post, else none
+function postImage(p) {
+    if (p.image) return /^https?:\/\//.test(p.image) ? p.image : `${SITE_URL}${p.image.startsWith('/') ? '' : '/blog/'}${p.image}`;
+    const card = p.slug.replace(/\.html$/, '.png');
+    return fs.existsSync(path.join(BLOG_DIR, card)) ? `${SITE_URL}/blog/${card}` : null;
+}
+
+function socialMeta(p) {
+    const attr = s => htmlToText(s || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    const url = postUrl(p);
+    const image = postImage(p);
+    const tags = splitTags(p.tags);
+    const bilingual = p.bilingual === 'true';
+
+    const ld = {
+        '@context': 'https://schema.org',
+        '@type': 'BlogPosting',
+        headline: htmlToText(p.title),
+        ...(p.title_zh && { alternativeHeadline: htmlToText(p.title_zh) }),
+        description: htmlToText(p.description || ''),
+        datePublished: p.publishAt,
+        dateModified: postUpdated(p),
+        author: { '@type': 'Person', name: 'Michael Yang', url: SITE_URL },
+        publisher: { '@type': 'Person', name: 'Michael Yang', url: SITE_URL },
+        mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+        url,
+        ...(image && { image }),
+        ...(tags.length && { keywords: tags.join(', ') }),
+        inLanguage: bilingual ? ['en', 'zh-CN'] : 'en',
+    };
+    const ldJson = JSON.stringify(ld, null, 4).replace(/</g, '\\u003c').replace(/\n/g, '\n    ');
+
+    return [
+        `<meta name="description" content="${attr(p.description)}">`,
+        `<link rel="canonical" href="${url}">`,
+        '<meta property="og:type" content="article">',
+        '<meta property="og:site_name" content="Michael Yang">',
+        `<meta property="og:title" content="${attr(p.title)}">`,
+        `<meta property="og:description" content="${attr(p.description)}">`,
+        `<meta property="og:url" content="${url}">`,
+        ...(image ? [`<meta property="og:image" content="${image}">`] : []),
+        '<meta property="og:locale" content="en_US">',
+        ...(bilingual ? ['<meta property="og:locale:alternate" content="zh_CN">'] : []),
+        `<meta property="article:published_time" content="${p.publishAt}">`,
+        `<meta property="article:modified_time" content="${postUpdated(p)}">`,
+        ...tags.map(t => `<meta property="article:tag" content="${attr(t)}">`),
+        `<meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">`,
+        '<meta name="twitter:site" content="@bayc2043">',
+        '<meta name="twitter:creator" content="@bayc2043">',
+        `<meta name="twitter:title" content="${attr(p.title)}">`,
+        `<meta name="twitter:description" content="${attr(p.description)}">`,
+        ...(image ? [`<meta name="twitter:image" content="${image}">`] : []),
+        `<script type="application/ld+json">\n    ${ldJson}\n    </script>`,
+    ].map(tag => `    ${tag}\n`).join('');
+}
+
+function injectSocialMeta(p) {
+    const filePath = path.join(BLOG_DIR, p.slug);
+    const html = fs.readFileSync(filePath, 'utf-8');
+    const stripped = html.replace(SOCIAL_TAGS, '').replace(CANONICAL_TAG, '').replace(JSON_LD_TAG, '');
+    const at = stripped.search(/<!--\s*\nBLOG_META\n/);
+    const updated = stripped.slice(0, at) + socialMeta(p) + stripped.slice(at);
+    // Compiled posts are build outputs: the manifest tracks their final content
+    if (nextManifest[outputKey(filePath)]) nextManifest[outputKey(filePath)].output = contentHash(updated);
+    if (updated === html) return false;
+    fs.writeFileSync(filePath, updated);
+    return true;
+}
+
+const socialUpdated = allPosts.filter(injectSocialMeta).length;
+if (socialUpdated) console.log(`✅ Updated social meta in ${socialUpdated} post(s)`);
+
+// Inputs of every listing, feed and search output below: the listed posts
+// in order, by content. Hashed after the social meta is injected, so a post
+// only counts as changed when its final HTML does.
+const listedInputs = posts.map(p => [p.slug, fileHash(path.join(BLOG_DIR, p.slug))]);
 
 // ── Format date ────────────────────────────────────────────────────────
 function formatDate(dateStr) {
@@ -48,32 +490,80 @@ function formatDate(dateStr) {
     return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
 }
 
+// Chinese description: description_zh, else the zh article subtitle
+function zhDescription(p) {
+    if (p.description_zh) return p.description_zh;
+    const content = extractArticleContent(p.slug, 'zh');
+    const subtitle = content && content.match(/<p class="article-subtitle">([\s\S]*?)<\/p>/);
+    return subtitle ? subtitle[1].replace(/<[^>]+>/g, '').trim() : '';
+}
+
+// ── Tags ───────────────────────────────────────────────────────────────
+function tagLinks(tags) {
+    return tags.map(t => `<a href="/blog/tag/${tagSlug(t)}" class="tag">${t}</a>`).join('');
+}
+
 // ── Generate HTML ──────────────────────────────────────────────────────
-const postCards = posts.map(p => {
-    const tags = (p.tags || '').split(',').map(t => t.trim()).filter(Boolean);
-    const tagHTML = tags.map(t => `<span class="tag">${t}</span>`).join('');
-    const bilingualBadge = p.bilingual === 'true' ? '<span class="tag bilingual">EN / 中文</span>' : '';
+function postCard(p) {
+    const zh = p.bilingual === 'true';
+    const descZh = zh ? zhDescription(p) : '';
+    const bilingualBadge = zh ? '<span class="tag bilingual">EN / 中文</span>' : '';
     return `
-            <a href="/blog/${p.slug}" class="post-card">
-                <time class="post-date">${formatDate(p.date)}</time>
-                <h2 class="post-title">${p.title}</h2>
-                <p class="post-desc">${p.description || ''}</p>
-                <div class="post-tags">${tagHTML}</div>
-            </a>`;
-}).join('\n');
-
-const html = `<!DOCTYPE html>
+            <div class="post-card">
+                <a href="/blog/${p.slug}" class="post-link">
+                    <time class="post-date">${formatDate(p.date)}</time>
+                    <h2 class="post-title">${p.title}</h2>${zh && p.title_zh ? `
+                    <p class="post-title-zh">${p.title_zh}</p>` : ''}
+                    <p class="post-desc">${p.description || ''}</p>${descZh ? `
+                    <p class="post-desc post-desc-zh">${descZh}</p>` : ''}
+                </a>
+                <div class="post-tags">${tagLinks(splitTags(p.tags))}${bilingualBadge}</div>
+            </div>`;
+}
+
+// Subscribe form options: language, frequency and topics (most used tags
+// first; `checked` is pre-ticked on that tag's archive page)
+function subscribePrefs(checked) {
+    const topics = [...tagIndex.entries()]
+        .sort((a, b) => b[1].posts.length - a[1].posts.length || a[0].localeCompare(b[0]))
+        .map(([slug, { name }]) =>
+            `                        <label class="prefs-tag"><input type="checkbox" name="tags" value="${name}"${slug === checked ? ' checked' : ''}> ${name}</label>`)
+        .join('\n');
+    return `                <details class="subscribe-prefs" id="subscribePrefs"${checked ? ' open' : ''}>
+                    <summary>Language, frequency &amp; topics</summary>
+                    <div class="prefs-row">
+                        <label><input type="radio" name="language" value="en" checked> English</label>
+                        <label><input type="radio" name="language" value="zh"> 中文</label>
+                    </div>
+                    <div class="prefs-row">
+                        <label><input type="radio" name="frequency" value="instant" checked> Every post</label>
+                        <label><input type="radio" name="frequency" value="weekly"> Weekly digest</label>
+                        <label><input type="radio" name="frequency" value="monthly"> Monthly digest</label>
+                    </div>
+                    <div class="prefs-row prefs-tags">
+${topics}
+                    </div>
+                    <p class="prefs-hint">No topics ticked means every post.</p>
+                </details>`;
+}
+
+// Shared shell for the blog index, tag archives and the all-tags page
+function renderListingPage({ title, heading, intro, list, nav = '', feeds = '', search = false, subscribeTag = null }) {
+    return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Blog - Michael Yang</title>
+    <title>${title}</title>
     <link rel="icon" type="image/svg+xml" href="/favicon.svg">
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500&family=Playfair+Display:ital,wght@0,400;0,700;0,800;1,400&display=swap" rel="stylesheet">
     <link rel="stylesheet" href="/css/base.css">
     <link rel="alternate" type="application/rss+xml" title="Michael Yang's Blog" href="/feed.xml">
+    <link rel="alternate" type="application/atom+xml" title="Michael Yang's Blog" href="/atom.xml">
+    <link rel="alternate" type="application/feed+json" title="Michael Yang's Blog" href="/feed.json">
+    <link rel="alternate" type="application/rss+xml" title="Michael Yang 的博客" href="/feed-zh.xml" hreflang="zh-CN">${feeds}
     <style>
         /* === BLOG INDEX === */
         .blog-index {
@@ -115,9 +605,14 @@ const html = `<!DOCTYPE html>
             animation: fadeUp 1s ease forwards 0.6s;
         }
 
+        /* Shown again after a search: no second entrance */
+        .post-list.settled {
+            opacity: 1;
+            animation: none;
+        }
+
         .post-card {
             display: block;
-            text-decoration: none;
             padding: 2rem 0;
             border-bottom: 1px solid rgba(255, 255, 255, 0.06);
             transition: transform 0.3s ease;
@@ -131,6 +626,11 @@ const html = `<!DOCTYPE html>
             transform: translateX(8px);
         }
 
+        .post-link {
+            display: block;
+            text-decoration: none;
+        }
+
         .post-date {
             font-size: 0.72rem;
             font-weight: 400;
@@ -165,6 +665,11 @@ const html = `<!DOCTYPE html>
             margin-bottom: 0.75rem;
         }
 
+        .post-desc-zh {
+            color: rgba(240, 237, 230, 0.45);
+            margin-top: -0.4rem;
+        }
+
         .post-tags {
             display: flex;
             gap: 0.5rem;
@@ -182,11 +687,79 @@ const html = `<!DOCTYPE html>
             border-radius: 3px;
         }
 
+        a.tag {
+            text-decoration: none;
+            transition: color 0.3s ease, border-color 0.3s ease;
+        }
+
+        a.tag:hover {
+            color: var(--accent);
+            border-color: rgba(201, 168, 76, 0.3);
+        }
+
         .tag.bilingual {
             color: var(--accent);
             border-color: rgba(201, 168, 76, 0.2);
         }
 
+        .tag-cloud {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.75rem;
+            padding: 2rem 0;
+            border-top: 1px solid rgba(255, 255, 255, 0.06);
+        }
+
+        .tag-cloud a.tag {
+            font-size: 0.7rem;
+            padding: 0.4em 0.9em;
+        }
+
+        .tag-count {
+            color: var(--accent);
+            margin-left: 0.5em;
+        }
+
+        .search-box {
+            margin-bottom: 2rem;
+            opacity: 0;
+            animation: fadeUp 1s ease forwards 0.5s;
+        }
+
+        .search-box input {
+            width: 100%;
+            padding: 0.7rem 1rem;
+            background: rgba(255, 255, 255, 0.04);
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            border-radius: 4px;
+            color: var(--text);
+            font-family: 'Inter', sans-serif;
+            font-size: 0.85rem;
+            outline: none;
+            transition: border-color 0.3s ease;
+        }
+
+        .search-box input:focus {
+            border-color: var(--accent);
+        }
+
+        .search-box input::placeholder {
+            color: rgba(240, 237, 230, 0.3);
+        }
+
+        .search-results mark {
+            background: rgba(201, 168, 76, 0.2);
+            color: var(--text);
+            border-radius: 2px;
+        }
+
+        .search-empty {
+            font-size: 0.9rem;
+            font-weight: 300;
+            color: rgba(240, 237, 230, 0.5);
+            padding: 2rem 0;
+        }
+
         .subscribe-section {
             margin-top: 4rem;
             padding: 2.5rem 0;
@@ -270,6 +843,39 @@ const html = `<!DOCTYPE html>
         .subscribe-msg.success { color: #4ade80; }
         .subscribe-msg.error { color: #f87171; }
 
+        .subscribe-prefs {
+            max-width: 420px;
+            margin-top: 0.75rem;
+            font-size: 0.8rem;
+            font-weight: 300;
+            color: rgba(240, 237, 230, 0.6);
+        }
+
+        .subscribe-prefs summary {
+            cursor: pointer;
+            color: var(--muted);
+            transition: color 0.3s ease;
+        }
+
+        .subscribe-prefs summary:hover { color: var(--accent); }
+
+        .prefs-row {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem 1.25rem;
+            margin-top: 0.75rem;
+        }
+
+        .prefs-row label { cursor: pointer; }
+        .prefs-row input { accent-color: var(--accent); margin-right: 0.3rem; }
+        .prefs-tags { gap: 0.5rem 0.9rem; }
+
+        .subscribe-section .prefs-hint {
+            font-size: 0.75rem;
+            margin: 0.5rem 0 0;
+            color: rgba(240, 237, 230, 0.35);
+        }
+
         .rss-link {
             display: inline-flex;
             align-items: center;
@@ -282,6 +888,7 @@ const html = `<!DOCTYPE html>
         }
 
         .rss-link:hover { color: var(--accent); }
+        .rss-link + .rss-link { margin-left: 1.25rem; }
 
         .blog-footer {
             border-top: 1px solid rgba(255, 255, 255, 0.06);
@@ -295,6 +902,12 @@ const html = `<!DOCTYPE html>
         }
 
         .topbar { margin-bottom: 5rem; }
+        .topbar-nav { display: flex; gap: 1.5rem; }
+
+        .blog-header p a {
+            color: var(--accent);
+            text-decoration: none;
+        }
 
         @media (max-width: 768px) {
             .topbar { margin-bottom: 3rem; }
@@ -316,7 +929,7 @@ const html = `<!DOCTYPE html>
             <a href="/" class="logo">mkyang.ai</a>
             <div class="topbar-right">
                 <nav class="topbar-nav">
-                    <a href="/">Home</a>
+                    <a href="/">Home</a>${nav}
                 </nav>
                 <div class="status-badge">
                     <span class="status-dot"></span>
@@ -327,13 +940,19 @@ const html = `<!DOCTYPE html>
 
         <main class="blog-index">
             <div class="blog-header">
-                <h1>Blog</h1>
-                <p>Thoughts on AI, building products, and the future of work.</p>
+                <h1>${heading}</h1>
+                <p>${intro}</p>
                 <div class="header-rule"></div>
             </div>
 
-            <div class="post-list">
-${postCards}
+${search ? `            <div class="search-box">
+                <input type="search" id="searchInput" placeholder="Search posts — English or 中文" aria-label="Search posts" autocomplete="off">
+            </div>
+
+            <div class="search-results" id="searchResults" hidden></div>
+
+` : ''}            <div class="post-list"${search ? ' id="postList"' : ''}>
+${list}
             </div>
 
             <section class="subscribe-section">
@@ -343,11 +962,16 @@ ${postCards}
                     <input type="email" placeholder="your@email.com" required>
                     <button type="submit">Subscribe</button>
                 </form>
+${subscribePrefs(subscribeTag)}
                 <div class="subscribe-msg" id="subscribeMsg"></div>
                 <a href="/feed.xml" class="rss-link" target="_blank" rel="noopener">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><circle cx="6.18" cy="17.82" r="2.18"/><path d="M4 4.44v2.83c7.03 0 12.73 5.7 12.73 12.73h2.83c0-8.59-6.97-15.56-15.56-15.56zm0 5.66v2.83c3.9 0 7.07 3.17 7.07 7.07h2.83c0-5.47-4.43-9.9-9.9-9.9z"/></svg>
                     RSS Feed
                 </a>
+                <a href="/feed-zh.xml" class="rss-link" target="_blank" rel="noopener" hreflang="zh-CN">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor"><circle cx="6.18" cy="17.82" r="2.18"/><path d="M4 4.44v2.83c7.03 0 12.73 5.7 12.73 12.73h2.83c0-8.59-6.97-15.56-15.56-15.56zm0 5.66v2.83c3.9 0 7.07 3.17 7.07 7.07h2.83c0-5.47-4.43-9.9-9.9-9.9z"/></svg>
+                    中文 RSS
+                </a>
             </section>
 
             <footer class="blog-footer">
@@ -367,6 +991,8 @@ ${postCards}
             const btn = e.target.querySelector('button');
             const input = e.target.querySelector('input');
             const msg = document.getElementById('subscribeMsg');
+            const prefs = document.getElementById('subscribePrefs');
+            const chosen = name => [...prefs.querySelectorAll(\`input[name="\${name}"]:checked\`)].map(i => i.value);
             btn.disabled = true;
             btn.textContent = '...';
             msg.textContent = '';
@@ -375,11 +1001,16 @@ ${postCards}
                 const res = await fetch('/api/subscribe', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ email: input.value })
+                    body: JSON.stringify({
+                        email: input.value,
+                        language: chosen('language')[0],
+                        frequency: chosen('frequency')[0],
+                        tags: chosen('tags'),
+                    })
                 });
                 const data = await res.json();
                 if (res.ok) {
-                    msg.textContent = 'Subscribed. Welcome aboard.';
+                    msg.textContent = data.pending ? 'Almost there. Check your inbox to confirm.' : 'Subscribed. Welcome aboard.';
                     msg.className = 'subscribe-msg success';
                     input.value = '';
                 } else {
@@ -393,17 +1024,26 @@ ${postCards}
             btn.disabled = false;
             btn.textContent = 'Subscribe';
         });
-    </script>
+    </script>${search ? '\n    <script src="/js/search.js" defer></script>' : ''}
 </body>
 </html>
 `;
+}
 
-fs.writeFileSync(OUTPUT, html);
-console.log(`✅ Generated ${OUTPUT} with ${posts.length} post(s)`);
+if (writeOutput(OUTPUT, listedInputs, () => renderListingPage({
+    title: 'Blog - Michael Yang',
+    heading: 'Blog',
+    intro: 'Thoughts on AI, building products, and the future of work.',
+    list: posts.map(postCard).join('\n'),
+    nav: '\n                    <a href="/blog/tag">Tags</a>',
+    search: true,
+}))) console.log(`✅ Generated ${OUTPUT} with ${posts.length} post(s)`);
 
-// ── Generate RSS feed ─────────────────────────────────────────────────
-function rssDate(dateStr) {
-    return new Date(dateStr + 'T00:00:00Z').toUTCString();
+// ── Generate RSS feeds ────────────────────────────────────────────────
+// feed.xml carries the English side of every post; feed-zh.xml carries the
+// Chinese side of bilingual posts only.
+function rssDate(isoTime) {
+    return new Date(isoTime).toUTCString();
 }
 
 function escapeXml(s) {
@@ -411,61 +1051,274 @@ function escapeXml(s) {
 }
 
 // Extract article body content from HTML file for RSS content:encoded
-function extractArticleContent(slug) {
-    const filePath = path.join(BLOG_DIR, slug);
+function extractArticleContent(slug, lang = 'en') {
     try {
-        const html = fs.readFileSync(filePath, 'utf-8');
-        // Extract content inside <article class="article">...</article>
-        const articleMatch = html.match(/<article\s+class="article">([\s\S]*?)<\/article>/);
-        if (!articleMatch) return null;
-        let content = articleMatch[1];
-        // Strip the language toggle buttons and article-footer if present
-        content = content.replace(/<div class="lang-toggle">[\s\S]*?<\/div>/, '');
-        content = content.replace(/<footer[\s\S]*?<\/footer>/, '');
-        // Strip script tags
-        content = content.replace(/<script[\s\S]*?<\/script>/g, '');
-        return content.trim();
+        return extractArticle(fs.readFileSync(path.join(BLOG_DIR, slug), 'utf-8'), lang);
     } catch {
         return null;
     }
 }
 
-const rssItems = posts.map(p => {
-    const articleContent = extractArticleContent(p.slug);
-    const contentEncoded = articleContent
-        ? `\n      <content:encoded><![CDATA[${articleContent}]]></content:encoded>`
-        : '';
-    return `    <item>
-      <title>${escapeXml(p.title)}</title>
-      <link>${SITE_URL}/blog/${p.slug}</link>
-      <guid isPermaLink="true">${SITE_URL}/blog/${p.slug}</guid>
-      <pubDate>${rssDate(p.date)}</pubDate>
+function buildRss({ lang, items, self, title, description, link = `${SITE_URL}/blog` }) {
+    const zh = lang === 'zh';
+    const rssItems = items.map(p => {
+        const articleContent = extractArticleContent(p.slug, lang);
+        const contentEncoded = articleContent
+            ? `\n      <content:encoded>${cdata(articleContent)}</content:encoded>`
+            : '';
+        const categories = splitTags(p.tags).map(t => `\n      <category>${escapeXml(t)}</category>`).join('');
+        const link = `${SITE_URL}/blog/${p.slug}${zh ? '?lang=zh' : ''}`;
+        return `    <item>
+      <title>${escapeXml(zh ? p.title_zh || p.title : p.title)}</title>
+      <link>${link}</link>
+      <guid isPermaLink="true">${link}</guid>
+      <pubDate>${rssDate(p.publishAt)}</pubDate>
       <author>yangzk2001@gmail.com (Michael Yang)</author>
-      <description>${escapeXml(p.description || '')}</description>${contentEncoded}
+      <description>${escapeXml((zh ? zhDescription(p) || p.description : p.description) || '')}</description>${categories}${contentEncoded}
     </item>`;
-}).join('\n');
+    }).join('\n');
 
-const rss = `<?xml version="1.0" encoding="UTF-8"?>
+    return `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0"
   xmlns:atom="http://www.w3.org/2005/Atom"
   xmlns:content="http://purl.org/rss/1.0/modules/content/">
   <channel>
-    <title>Michael Yang's Blog</title>
-    <link>${SITE_URL}/blog</link>
-    <description>Thoughts on AI, building products, and the future of work.</description>
-    <language>en</language>
+    <title>${title}</title>
+    <link>${link}</link>
+    <description>${description}</description>
+    <language>${zh ? 'zh-CN' : 'en'}</language>
     <managingEditor>yangzk2001@gmail.com (Michael Yang)</managingEditor>
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-    <atom:link href="${SITE_URL}/feed.xml" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${rssDate(feedUpdated(items))}</lastBuildDate>
+    <atom:link href="${SITE_URL}/${self}" rel="self" type="application/rss+xml"/>
     <image>
       <url>${SITE_URL}/favicon.svg</url>
-      <title>Michael Yang's Blog</title>
-      <link>${SITE_URL}/blog</link>
+      <title>${title}</title>
+      <link>${link}</link>
     </image>
 ${rssItems}
   </channel>
 </rss>
 `;
+}
+
+if (writeOutput(RSS_OUTPUT, listedInputs, () => buildRss({
+    lang: 'en',
+    items: posts,
+    self: 'feed.xml',
+    title: "Michael Yang's Blog",
+    description: 'Thoughts on AI, building products, and the future of work.',
+}))) console.log(`✅ Generated ${RSS_OUTPUT} with ${posts.length} item(s)`);
+
+const zhPosts = posts.filter(p => p.bilingual === 'true' && extractArticleContent(p.slug, 'zh'));
+if (writeOutput(RSS_ZH_OUTPUT, listedInputs, () => buildRss({
+    lang: 'zh',
+    items: zhPosts,
+    self: 'feed-zh.xml',
+    title: 'Michael Yang 的博客',
+    description: '关于 AI、产品构建与未来工作的思考。',
+}))) console.log(`✅ Generated ${RSS_ZH_OUTPUT} with ${zhPosts.length} item(s)`);
+
+// ── Generate Atom and JSON Feed ───────────────────────────────────────
+// Same posts and content as feed.xml. An optional `updated: YYYY-MM-DD`
+// meta key marks revised posts; otherwise updated == published.
+function isoDate(dateStr) {
+    return `${dateStr}T00:00:00Z`;
+}
+
+// `updated` is a day, so on the publishing day itself the publish time wins
+function postUpdated(p) {
+    return p.updated && isoDate(p.updated) > p.publishAt ? isoDate(p.updated) : p.publishAt;
+}
+
+function feedUpdated(items) {
+    return items.map(postUpdated).sort().pop() || isoDate(new Date().toISOString().slice(0, 10));
+}
+
+// CDATA sections cannot contain "]]>", so split it across two sections
+function cdata(s) {
+    return `<![CDATA[${s.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function buildAtom(items) {
+    const entries = items.map(p => {
+        const url = `${SITE_URL}/blog/${p.slug}`;
+        const articleContent = extractArticleContent(p.slug);
+        const categories = splitTags(p.tags).map(t => `\n    <category term="${escapeXml(t)}"/>`).join('');
+        return `  <entry>
+    <title type="html">${escapeXml(p.title)}</title>
+    <link rel="alternate" type="text/html" href="${url}"/>
+    <id>${url}</id>
+    <published>${p.publishAt}</published>
+    <updated>${postUpdated(p)}</updated>
+    <author><name>Michael Yang</name></author>${categories}
+    <summary type="html">${escapeXml(p.description || '')}</summary>${articleContent ? `
+    <content type="html">${cdata(articleContent)}</content>` : ''}
+  </entry>`;
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en" xml:base="${SITE_URL}/">
+  <title>Michael Yang's Blog</title>
+  <subtitle>Thoughts on AI, building products, and the future of work.</subtitle>
+  <link rel="self" type="application/atom+xml" href="${SITE_URL}/atom.xml"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/blog"/>
+  <id>${SITE_URL}/blog</id>
+  <updated>${feedUpdated(items)}</updated>
+  <author>
+    <name>Michael Yang</name>
+    <email>yangzk2001@gmail.com</email>
+    <uri>${SITE_URL}</uri>
+  </author>
+  <icon>${SITE_URL}/favicon.svg</icon>
+${entries}
+</feed>
+`;
+}
+
+function buildJsonFeed(items) {
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: "Michael Yang's Blog",
+        home_page_url: `${SITE_URL}/blog`,
+        feed_url: `${SITE_URL}/feed.json`,
+        description: 'Thoughts on AI, building products, and the future of work.',
+        icon: `${SITE_URL}/favicon.svg`,
+        favicon: `${SITE_URL}/favicon.svg`,
+        language: 'en',
+        authors: [{ name: 'Michael Yang', url: SITE_URL }],
+        items: items.map(p => {
+            const url = `${SITE_URL}/blog/${p.slug}`;
+            const item = {
+                id: url,
+                url,
+                title: htmlToText(p.title),
+                summary: htmlToText(p.description || ''),
+                date_published: p.publishAt,
+                date_modified: postUpdated(p),
+                tags: splitTags(p.tags),
+            };
+            const articleContent = extractArticleContent(p.slug);
+            if (articleContent) item.content_html = articleContent;
+            else item.content_text = item.summary;
+            // Extension read by the newsletter digest for Chinese subscribers
+            if (p.bilingual === 'true') {
+                item._zh = { title: htmlToText(p.title_zh || p.title), summary: htmlToText(zhDescription(p)) };
+            }
+            return item;
+        }),
+    };
+    return JSON.stringify(feed, null, 2) + '\n';
+}
+
+if (writeOutput(ATOM_OUTPUT, listedInputs, () => buildAtom(posts))) {
+    console.log(`✅ Generated ${ATOM_OUTPUT} with ${posts.length} entr${posts.length === 1 ? 'y' : 'ies'}`);
+}
+
+if (writeOutput(JSON_FEED_OUTPUT, listedInputs, () => buildJsonFeed(posts))) {
+    console.log(`✅ Generated ${JSON_FEED_OUTPUT} with ${posts.length} item(s)`);
+}
+
+// ── Generate tag archives ─────────────────────────────────────────────
+// blog/tag/<tag>.html + <tag>.xml per tag, blog/tag/index.html for all tags.
+// The directory is fully generated: pages for tags no longer in use are removed.
+function plural(n, word) {
+    return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+fs.mkdirSync(TAG_DIR, { recursive: true });
+const tagFiles = new Set(['index.html']);
+let tagWrites = 0;
+const tagNav = '\n                    <a href="/blog/">Blog</a>\n                    <a href="/blog/tag">Tags</a>';
 
-fs.writeFileSync(RSS_OUTPUT, rss);
-console.log(`✅ Generated ${RSS_OUTPUT} with ${posts.length} item(s)`);
+for (const [slug, { name, posts: tagged }] of tagIndex) {
+    const feedTitle = `Michael Yang's Blog — ${name}`;
+    // The subscribe form on each tag page lists every tag, so they all share listedInputs
+    tagWrites += writeOutput(path.join(TAG_DIR, `${slug}.html`), listedInputs, () => renderListingPage({
+        title: `${name} - Blog - Michael Yang`,
+        heading: `#${name}`,
+        intro: `${plural(tagged.length, 'post')} tagged &ldquo;${name}&rdquo;. <a href="/blog/tag">All tags</a> &middot; <a href="/blog/tag/${slug}.xml">RSS</a>`,
+        list: tagged.map(postCard).join('\n'),
+        nav: tagNav,
+        feeds: `\n    <link rel="alternate" type="application/rss+xml" title="${feedTitle}" href="/blog/tag/${slug}.xml">`,
+        subscribeTag: slug,
+    }));
+    tagWrites += writeOutput(path.join(TAG_DIR, `${slug}.xml`), listedInputs, () => buildRss({
+        lang: 'en',
+        items: tagged,
+        self: `blog/tag/${slug}.xml`,
+        link: `${SITE_URL}/blog/tag/${slug}`,
+        title: escapeXml(feedTitle),
+        description: escapeXml(`Posts tagged "${name}" on Michael Yang's Blog.`),
+    }));
+    tagFiles.add(`${slug}.html`).add(`${slug}.xml`);
+}
+
+const tagCloud = [...tagIndex.entries()]
+    .sort((a, b) => b[1].posts.length - a[1].posts.length || a[0].localeCompare(b[0]))
+    .map(([slug, { name, posts: tagged }]) =>
+        `                <a href="/blog/tag/${slug}" class="tag">${name}<span class="tag-count">${tagged.length}</span></a>`)
+    .join('\n');
+
+tagWrites += writeOutput(path.join(TAG_DIR, 'index.html'), listedInputs, () => renderListingPage({
+    title: 'Tags - Blog - Michael Yang',
+    heading: 'Tags',
+    intro: `${plural(tagIndex.size, 'topic')} across ${plural(posts.length, 'post')}.`,
+    list: `            <div class="tag-cloud">\n${tagCloud}\n            </div>`,
+    nav: tagNav,
+}));
+
+for (const f of fs.readdirSync(TAG_DIR)) {
+    if (!tagFiles.has(f)) {
+        fs.unlinkSync(path.join(TAG_DIR, f));
+        tagWrites++;
+    }
+}
+if (tagWrites) console.log(`✅ Generated ${TAG_DIR} with ${tagIndex.size} tag(s)`);
+
+// ── Generate search index ─────────────────────────────────────────────
+// Title, tags, description and the opening of each post's text (both
+// languages) for js/search.js, which tokenizes and ranks in the browser.
+// Only the opening is kept so the whole index stays small enough to load on
+// the first keystroke; it also gives the result snippets.
+const SEARCH_TEXT_CHARS = 600;
+
+function searchText(slug, lang) {
+    const content = extractArticleContent(slug, lang);
+    if (!content) return '';
+    const text = htmlToText(content
+        .replace(/<div class="article-meta">[\s\S]*?<\/div>/, '')
+        .replace(/<h1 class="article-title">[\s\S]*?<\/h1>/, ''));
+    if (text.length <= SEARCH_TEXT_CHARS) return text;
+    // Cut at a word boundary where there is one (Chinese has none)
+    const cut = text.slice(0, SEARCH_TEXT_CHARS);
+    const space = cut.lastIndexOf(' ');
+    return space > SEARCH_TEXT_CHARS * 0.8 ? cut.slice(0, space) : cut;
+}
+
+const searchDocs = () => posts.map(p => {
+    const doc = {
+        url: `/blog/${p.slug}`,
+        title: htmlToText(p.title),
+        date: p.date,
+        date_label: formatDate(p.date),
+        tags: splitTags(p.tags),
+        description: htmlToText(p.description || ''),
+        en: searchText(p.slug, 'en'),
+    };
+    if (p.title_zh) doc.title_zh = htmlToText(p.title_zh);
+    const zh = searchText(p.slug, 'zh');
+    if (zh) doc.zh = zh;
+    return doc;
+});
+
+if (writeOutput(SEARCH_OUTPUT, listedInputs, () => JSON.stringify({ docs: searchDocs() }))) {
+    console.log(`✅ Generated ${SEARCH_OUTPUT} with ${posts.length} doc(s)`);
+}
+
+// ── Save the manifest ─────────────────────────────────────────────────
+const sortedManifest = Object.fromEntries(Object.entries(nextManifest).sort(([a], [b]) => a.localeCompare(b)));
+const manifestJson = JSON.stringify(sortedManifest, null, 2) + '\n';
+if (!fs.existsSync(MANIFEST) || fs.readFileSync(MANIFEST, 'utf-8') !== manifestJson) {
+    fs.writeFileSync(MANIFEST, manifestJson);
+}
+if (unchangedOutputs) console.log(`✅ ${unchangedOutputs} output(s) already up to date`);
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Social share card generator for mkyang.ai
+ * Renders scripts/og-card-template.html to a 1200x630 PNG per post
+ * (blog/<slug>.png) with headless Chromium via playwright-core.
+ *
+ * Fully offline: the card is loaded with setContent and every network
+ * request is aborted. A card is only re-rendered when the post's title,
+ * title_zh, date or tags (or the template itself) change; hashes are kept
+ * in blog/.og-cards.json.
+ *
+ * The cards and blog/.og-cards.json are committed, so a checkout (or the
+ * Vercel build) whose cards are up to date never starts a browser. `npm run
+ * build` runs this first; a card that is missing or out of date where
+ * Chromium can't start fails the build, rather than a post going out
+ * without og:image. Render it with `npm run og` and commit it with the post.
+ *
+ * Usage: node scripts/build-og-images.js [--force]
+ *   --force  re-render every card
+ *   CHROMIUM_PATH  Chromium/headless_shell binary (defaults to playwright's own)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseMeta, splitTags } = require('./lib/meta');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const TEMPLATE = path.join(__dirname, 'og-card-template.html');
+const MANIFEST = path.join(BLOG_DIR, '.og-cards.json');
+const FORCE = process.argv.includes('--force');
+
+function escapeHtml(s) {
+    return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// BLOG_META values are HTML text (&mdash; etc.), so only bare "<" and "&" need escaping
+function metaHtml(s) {
+    return (s || '').replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function formatDate(dateStr) {
+    const d = new Date(dateStr + 'T00:00:00');
+    return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function renderCard(template, post) {
+    const tags = splitTags(post.tags).map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('');
+    const title = metaHtml(post.title);
+    return template
+        .replace('<h1 class="title">', post.title.length > 60 ? '<h1 class="title long">' : '<h1 class="title">')
+        .replace('CARD_TITLE_ZH', () => metaHtml(post.title_zh))
+        .replace('CARD_TITLE', () => title)
+        .replace('CARD_DATE', () => formatDate(post.date))
+        .replace('CARD_TAGS', () => tags);
+}
+
+function cardHash(template, post) {
+    const inputs = { title: post.title, title_zh: post.title_zh || '', date: post.date, tags: post.tags || '' };
+    return crypto.createHash('sha256').update(template).update(JSON.stringify(inputs)).digest('hex').slice(0, 16);
+}
+
+async function main() {
+    const template = fs.readFileSync(TEMPLATE, 'utf-8');
+    const manifest = fs.existsSync(MANIFEST) ? JSON.parse(fs.readFileSync(MANIFEST, 'utf-8')) : {};
+
+    const posts = fs.readdirSync(BLOG_DIR)
+        .filter(f => f.endsWith('.html') && f !== 'index.html')
+        .map(f => parseMeta(path.join(BLOG_DIR, f)))
+        .filter(p => p && p.title && p.date);
+
+    const pending = posts.filter(p => {
+        const png = path.join(BLOG_DIR, p.slug.replace(/\.html$/, '.png'));
+        return FORCE || manifest[p.slug] !== cardHash(template, p) || !fs.existsSync(png);
+    });
+
+    if (!pending.length) {
+        console.log(`✅ All ${posts.length} share card(s) up to date`);
+        return;
+    }
+
+    let browser;
+    try {
+        const { chromium } = require('playwright-core');
+        browser = await chromium.launch({
+            executablePath: process.env.CHROMIUM_PATH || undefined,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+            headless: true,
+        });
+    } catch (err) {
+        console.error(`❌ ${pending.length} share card(s) missing or out of date: ${pending.map(p => p.slug).join(', ')}`);
+        console.error('   Run `npm run og` where Chromium is available and commit the cards with blog/.og-cards.json');
+        throw err;
+    }
+
+    try {
+        const page = await browser.newPage({ viewport: { width: 1200, height: 630 } });
+        // No network: the card must render from the template and local fonts alone
+        await page.route('**/*', route => route.abort());
+
+        for (const post of pending) {
+            const png = path.join(BLOG_DIR, post.slug.replace(/\.html$/, '.png'));
+            await page.setContent(renderCard(template, post), { waitUntil: 'load' });
+            await page.screenshot({ path: png, clip: { x: 0, y: 0, width: 1200, height: 630 } });
+            manifest[post.slug] = cardHash(template, post);
+            console.log(`🖼  Rendered ${path.relative(ROOT_DIR, png)}`);
+        }
+    } finally {
+        await browser.close();
+    }
+
+    // Forget cards for posts that no longer exist
+    const slugs = new Set(posts.map(p => p.slug));
+    for (const slug of Object.keys(manifest)) {
+        if (!slugs.has(slug)) delete manifest[slug];
+    }
+    const sorted = Object.fromEntries(Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(MANIFEST, JSON.stringify(sorted, null, 2) + '\n');
+    console.log(`✅ Rendered ${pending.length} of ${posts.length} share card(s)`);
+}
+
+main().catch(err => {
+    console.error('❌ Share card rendering failed:', err.message);
+    process.exit(1);
+});
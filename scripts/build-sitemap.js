@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Sitemap and robots.txt generator for mkyang.ai
+ * Crawls the deployed tree for *.html pages and writes sitemap.xml with
+ * cleanUrls-style locations, plus a robots.txt pointing at it and the feeds.
+ *
+ * lastmod: blog posts use BLOG_META `updated`/`date`; the blog index and tag
+ * pages use their newest listed post; everything else uses the date of the
+ * file's last commit (a checkout's mtimes are just the clone time). Without
+ * the full git history, e.g. in a deploy build's shallow clone, those keep
+ * the lastmod the existing sitemap.xml has for them, or have none.
+ * Hidden posts, scheduled posts that aren't due yet and pages marked noindex
+ * are left out.
+ *
+ * Run after build-blog.js. Zero dependencies — uses only Node.js built-ins.
+ *
+ * Usage: node scripts/build-sitemap.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseMeta, isDue, splitTags, tagSlug } = require('./lib/meta');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const SITEMAP_OUTPUT = path.join(ROOT_DIR, 'sitemap.xml');
+const ROBOTS_OUTPUT = path.join(ROOT_DIR, 'robots.txt');
+const SITE_URL = 'https://mkyang.ai';
+
+// Source, tooling and function directories are deployed but are not pages
+const SKIP_DIRS = new Set(['node_modules', 'api', 'scripts', 'posts']);
+
+// ── Crawl ──────────────────────────────────────────────────────────────
+function crawl(dir) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIP_DIRS.has(entry.name)) files.push(...crawl(full));
+        } else if (entry.name.endsWith('.html')) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+// vercel.json: cleanUrls drops ".html" and "/index", trailingSlash is false
+function pageUrl(file) {
+    const rel = path.relative(ROOT_DIR, file).split(path.sep).join('/');
+    const clean = rel.replace(/(^|\/)index\.html$/, '').replace(/\.html$/, '');
+    return clean ? `${SITE_URL}/${clean}` : `${SITE_URL}/`;
+}
+
+function isNoindex(html) {
+    return /<meta\s+name="robots"\s+content="[^"]*noindex/i.test(html);
+}
+
+// ── Posts ──────────────────────────────────────────────────────────────
+const posts = fs.readdirSync(BLOG_DIR)
+    .filter(f => f.endsWith('.html') && f !== 'index.html')
+    .map(f => parseMeta(path.join(BLOG_DIR, f)))
+    .filter(Boolean);
+
+const postsBySlug = new Map(posts.map(p => [p.slug, p]));
+const visible = posts.filter(p => p.hidden !== 'true' && isDue(p));
+
+function postLastmod(p) {
+    return p.updated || p.date;
+}
+
+function newest(list) {
+    return list.map(postLastmod).filter(Boolean).sort().pop();
+}
+
+// lastmod per URL in the sitemap from the previous build
+const previousLastmod = new Map(fs.existsSync(SITEMAP_OUTPUT)
+    ? [...fs.readFileSync(SITEMAP_OUTPUT, 'utf-8').matchAll(/<loc>([^<]+)<\/loc>\s*<lastmod>([^<]+)<\/lastmod>/g)].map(m => [m[1], m[2]])
+    : []);
+
+// Whether git has the whole history. A shallow clone (Vercel's build checkout)
+// gives every file the date of its newest commit, which says nothing about
+// when the file changed.
+function hasFullHistory() {
+    try {
+        return execFileSync('git', ['rev-parse', '--is-shallow-repository'], {
+            cwd: ROOT_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'],
+        }).trim() === 'false';
+    } catch {
+        return false;
+    }
+}
+
+const FULL_HISTORY = hasFullHistory();
+
+// YYYY-MM-DD of the file's last commit; null if git or the full history is
+// missing, so the previous lastmod is kept
+function committedDate(file) {
+    if (!FULL_HISTORY) return null;
+    try {
+        return execFileSync('git', ['log', '-1', '--format=%cs', '--', file], {
+            cwd: ROOT_DIR, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'],
+        }).trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+function lastmod(file) {
+    const rel = path.relative(BLOG_DIR, file).split(path.sep).join('/');
+    if (!rel.startsWith('..')) {
+        if (postsBySlug.has(rel)) return postLastmod(postsBySlug.get(rel));
+        if (rel === 'index.html' || rel === 'tag/index.html') return newest(visible);
+        const tag = rel.match(/^tag\/(.+)\.html$/);
+        if (tag) return newest(visible.filter(p => splitTags(p.tags).some(t => tagSlug(t) === tag[1])));
+    }
+    return committedDate(file) || previousLastmod.get(pageUrl(file));
+}
+
+// ── Generate sitemap.xml ───────────────────────────────────────────────
+const entries = crawl(ROOT_DIR)
+    .filter(file => {
+        const post = postsBySlug.get(path.relative(BLOG_DIR, file));
+        if (post && !visible.includes(post)) return false;
+        return !isNoindex(fs.readFileSync(file, 'utf-8'));
+    })
+    .map(file => ({ loc: pageUrl(file), lastmod: lastmod(file) }))
+    .sort((a, b) => a.loc.localeCompare(b.loc));
+
+const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(e => `  <url>
+    <loc>${e.loc}</loc>${e.lastmod ? `
+    <lastmod>${e.lastmod}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+
+fs.writeFileSync(SITEMAP_OUTPUT, sitemap);
+console.log(`✅ Generated ${SITEMAP_OUTPUT} with ${entries.length} URL(s)`);
+
+// ── Generate robots.txt ────────────────────────────────────────────────
+// Search engines accept RSS and Atom feeds as sitemaps, so they are listed
+// too; JSON Feed is not, so it is only mentioned in a comment.
+const robots = `User-agent: *
+Allow: /
+Disallow: /api/
+
+Sitemap: ${SITE_URL}/sitemap.xml
+Sitemap: ${SITE_URL}/feed.xml
+Sitemap: ${SITE_URL}/feed-zh.xml
+Sitemap: ${SITE_URL}/atom.xml
+
+# JSON Feed: ${SITE_URL}/feed.json
+`;
+
+fs.writeFileSync(ROBOTS_OUTPUT, robots);
+console.log(`✅ Generated ${ROBOTS_OUTPUT}`);
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * Local dev server for mkyang.ai
+ * Runs the site and the api/ functions together, offline, the way Vercel
+ * serves them in production:
+ *   - static files from the repo root, with vercel.json's cleanUrls,
+ *     trailingSlash: false, redirects and custom headers applied
+ *   - /api/<name> calls the default export of api/<name>.js (or
+ *     api/<name>/index.js) with Vercel's req/res helpers: req.query, req.body
+ *     (parsed by Content-Type; the raw stream stays readable), res.status(),
+ *     res.json(), res.send() and res.redirect()
+ *   - open pages reload when a build changes the files they're served from;
+ *     build-blog.js --watch runs alongside, so saving a post is enough
+ *
+ * Anything not set in the environment, .env.local or .env falls back to the
+ * offline backends (SUBSCRIBER_STORE=file, EMAIL_TRANSPORT=outbox, so mail
+ * lands in .data/outbox) and "dev" for UNSUBSCRIBE_SECRET and
+ * NEWSLETTER_SECRET. Requests the functions make to https://mkyang.ai are
+ * answered by this server, so send-newsletter reads the local build, and
+ * the server's own origin passes the subscribe form's Origin check.
+ *
+ * An edited api/*.js is picked up on its next request; edits under api/_lib
+ * need a restart, as ES modules can't be unloaded. Needs Node.js 20.19+ to
+ * load the ES module functions without "type": "module".
+ * Zero dependencies — uses only Node.js built-ins.
+ *
+ * Usage: node scripts/dev-server.js [--port <n>] [--no-build]
+ *   --port      port to listen on (default $PORT or 3000)
+ *   --no-build  serve the tree as it is, without build-blog.js --watch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const { Readable } = require('stream');
+const { pathToFileURL } = require('url');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const API_DIR = path.join(ROOT_DIR, 'api');
+const VERCEL_CONFIG = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'vercel.json'), 'utf-8'));
+const SITE_URL = 'https://mkyang.ai';
+const SITE_ORIGINS = [SITE_URL, 'https://www.mkyang.ai'];
+const RELOAD_PATH = '/__reload';
+const RELOAD_SCRIPT = `<script>new EventSource('${RELOAD_PATH}').onmessage = () => location.reload();</script>`;
+
+const portArg = process.argv.indexOf('--port');
+const PORT = Number(portArg === -1 ? process.env.PORT || 3000 : process.argv[portArg + 1]);
+const BUILD = !process.argv.includes('--no-build');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+};
+
+// Paths the site never serves as files: functions, dependencies, dotfiles
+function isPrivate(rel) {
+    const segments = rel.split('/');
+    return segments[0] === 'api' || segments.some(s => s === 'node_modules' || s.startsWith('.'));
+}
+
+// ── Environment ────────────────────────────────────────────────────────
+process.chdir(ROOT_DIR); // the file backends resolve .data/ from here
+for (const file of ['.env.local', '.env']) {
+    if (fs.existsSync(file)) process.loadEnvFile(file); // never overrides what's already set
+}
+const DEV_DEFAULTS = {
+    SUBSCRIBER_STORE: 'file',
+    EMAIL_TRANSPORT: 'outbox',
+    UNSUBSCRIBE_SECRET: 'dev',
+    NEWSLETTER_SECRET: 'dev',
+};
+for (const [key, value] of Object.entries(DEV_DEFAULTS)) process.env[key] ??= value;
+
+// Node loads api/*.js as ES modules by their syntax, but warns about each one
+process.removeAllListeners('warning');
+process.on('warning', warning => {
+    if (warning.code !== 'MODULE_TYPELESS_PACKAGE_JSON') console.warn(`${warning.name}: ${warning.message}`);
+});
+
+// The functions fetch published pages and feeds from the live site; serve
+// those from here instead
+const networkFetch = globalThis.fetch;
+globalThis.fetch = (input, init) => {
+    const url = new URL(input instanceof Request ? input.url : String(input));
+    if (!SITE_ORIGINS.includes(url.origin)) return networkFetch(input, init);
+    return networkFetch(`http://localhost:${PORT}${url.pathname}${url.search}`, init);
+};
+
+// ── vercel.json routing ────────────────────────────────────────────────
+/**
+ * Compiles a vercel.json `source` (path-to-regexp syntax: "/posts/:path*",
+ * "/blog/tag/(.*).xml") to an anchored RegExp; :params become named groups.
+ */
+function sourcePattern(source) {
+    let pattern = '';
+    for (const [token, group, name, modifier] of source.matchAll(/\(([^)]*)\)|:(\w+)([*+?]?)|[^(:]+|./g)) {
+        if (group !== undefined) {
+            pattern += `(${group})`;
+        } else if (name && (modifier === '*' || modifier === '?') && pattern.endsWith('\\/')) {
+            // "/x/:p*" also matches "/x"
+            pattern = `${pattern.slice(0, -2)}(?:/(?<${name}>${modifier === '*' ? '.*' : '[^/]+'}))?`;
+        } else if (name) {
+            pattern += `(?<${name}>${modifier === '*' || modifier === '+' ? '.+' : '[^/]+'})`;
+        } else {
+            pattern += token.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+const REDIRECTS = (VERCEL_CONFIG.redirects || []).map(r => ({ ...r, pattern: sourcePattern(r.source) }));
+const HEADERS = (VERCEL_CONFIG.headers || []).map(h => ({ ...h, pattern: sourcePattern(h.source) }));
+
+// Where a request should be redirected to, if anywhere: { status, location }
+function redirectFor(pathname, search) {
+    for (const rule of REDIRECTS) {
+        const match = rule.pattern.exec(pathname);
+        if (!match) continue;
+        const location = rule.destination.replace(/:(\w+)\*?/g, (param, name) => match.groups?.[name] ?? param);
+        return { status: rule.statusCode || (rule.permanent === false ? 307 : 308), location };
+    }
+    if (VERCEL_CONFIG.trailingSlash === false && pathname.length > 1 && pathname.endsWith('/')) {
+        return { status: 308, location: pathname.replace(/\/+$/, '') + search };
+    }
+    if (VERCEL_CONFIG.cleanUrls && pathname.endsWith('.html')) {
+        return { status: 308, location: (pathname.slice(0, -'.html'.length).replace(/\/index$/, '') || '/') + search };
+    }
+    return null;
+}
+
+// ── API functions ──────────────────────────────────────────────────────
+// api/<path>.js or api/<path>/index.js; files under _-prefixed paths are
+// shared code, not functions
+function apiFile(pathname) {
+    const rel = pathname.slice('/api/'.length);
+    if (!rel || rel.split('/').some(s => !s || s.startsWith('_') || s.startsWith('.'))) return null;
+    return [`${rel}.js`, `${rel}/index.js`]
+        .map(candidate => path.join(API_DIR, candidate))
+        .find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+// Repeated parameters become arrays, as on Vercel
+function parseQuery(params) {
+    const query = {};
+    for (const [key, value] of params) {
+        query[key] = Object.hasOwn(query, key) ? [].concat(query[key], value) : value;
+    }
+    return query;
+}
+
+function parseBody(raw, contentType = '') {
+    if (!raw.length) return undefined;
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    if (type === 'application/json') {
+        try {
+            return JSON.parse(raw.toString('utf-8'));
+        } catch {
+            throw Object.assign(new Error('Invalid JSON'), { statusCode: 400 });
+        }
+    }
+    if (type === 'application/x-www-form-urlencoded') return parseQuery(new URLSearchParams(raw.toString('utf-8')));
+    if (type === 'text/plain') return raw.toString('utf-8');
+    if (type === 'application/octet-stream') return raw;
+    return undefined;
+}
+
+/**
+ * A Vercel-style request: the body is buffered up front, then offered both
+ * as req.body (parsed on first access) and as a fresh stream over the raw
+ * bytes, for functions that verify signatures.
+ */
+async function vercelRequest(req, url) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+
+    const request = Object.assign(Readable.from(raw.length ? [raw] : []), {
+        method: req.method,
+        url: req.url,
+        httpVersion: req.httpVersion,
+        headers: { ...req.headers },
+        socket: req.socket,
+        connection: req.socket,
+        query: parseQuery(url.searchParams),
+    });
+    // Pages served from here post to the API from the local origin
+    if (request.headers['origin'] === `http://${req.headers['host']}`) request.headers['origin'] = SITE_URL;
+
+    let body;
+    let parsed = false;
+    Object.defineProperty(request, 'body', {
+        enumerable: true,
+        get() {
+            if (!parsed) {
+                body = parseBody(raw, req.headers['content-type']);
+                parsed = true;
+            }
+            return body;
+        },
+    });
+    return request;
+}
+
+function addResponseHelpers(res) {
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = value => {
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(value));
+        return res;
+    };
+    res.send = body => {
+        if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+        if (!res.hasHeader('Content-Type')) {
+            res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+        }
+        res.end(body === undefined ? '' : Buffer.isBuffer(body) ? body : String(body));
+        return res;
+    };
+    res.redirect = (statusOrUrl, url) => {
+        const [status, location] = url === undefined ? [307, statusOrUrl] : [statusOrUrl, url];
+        res.statusCode = status;
+        res.setHeader('Location', location);
+        res.end();
+        return res;
+    };
+    return res;
+}
+
+async function serveApi(req, res, url) {
+    const file = apiFile(url.pathname);
+    if (!file) {
+        res.statusCode = 404;
+        return res.end('Not found');
+    }
+
+    res.on('finish', () => console.log(`${req.method} ${url.pathname} → ${res.statusCode}`));
+    try {
+        // The mtime in the URL loads a fresh copy after each edit
+        const { default: handler } = await import(`${pathToFileURL(file).href}?v=${fs.statSync(file).mtimeMs}`);
+        if (typeof handler !== 'function') throw new Error(`${path.relative(ROOT_DIR, file)} has no default export`);
+        await handler(await vercelRequest(req, url), addResponseHelpers(res));
+    } catch (err) {
+        if (!err.statusCode) console.error(`${url.pathname} error:`, err);
+        if (!res.headersSent) {
+            res.statusCode = err.statusCode || 500;
+            res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+            res.end(err.statusCode ? err.message : 'A server error has occurred');
+        }
+    }
+}
+
+// ── Static files ───────────────────────────────────────────────────────
+// With cleanUrls, /x is x.html, x/index.html or the file x itself
+function staticFile(pathname) {
+    const rel = decodeURIComponent(pathname).replace(/^\/+/, '');
+    if (isPrivate(rel)) return null;
+    const base = path.join(ROOT_DIR, rel);
+    if (base !== ROOT_DIR && !base.startsWith(ROOT_DIR + path.sep)) return null;
+    return [base, `${base}.html`, path.join(base, 'index.html')]
+        .find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+function serveStatic(req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        res.statusCode = 405;
+        return res.end('Method not allowed');
+    }
+
+    let file;
+    try {
+        file = staticFile(url.pathname);
+    } catch {
+        res.statusCode = 400; // malformed %-escape
+        return res.end('Bad request');
+    }
+    if (!file) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.end('Not found');
+    }
+
+    let content = fs.readFileSync(file);
+    const type = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    // Only pages opened in the browser get the reload hook, not fetched HTML
+    if (file.endsWith('.html') && req.headers['sec-fetch-dest'] === 'document') {
+        const html = content.toString('utf-8');
+        const at = html.lastIndexOf('</body>');
+        content = Buffer.from(at === -1 ? html + RELOAD_SCRIPT : html.slice(0, at) + RELOAD_SCRIPT + html.slice(at));
+    }
+    if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', type);
+    if (!res.hasHeader('Cache-Control')) res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+    res.setHeader('Content-Length', content.length);
+    res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+// ── Live reload ────────────────────────────────────────────────────────
+// Open pages keep an EventSource on RELOAD_PATH; any change to a servable
+// file (which is what a rebuild produces) reloads them all
+const reloadClients = new Set();
+
+function serveReloadStream(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(': connected\n\n');
+    reloadClients.add(res);
+    req.on('close', () => reloadClients.delete(res));
+}
+
+function watchOutputs() {
+    const changed = new Set();
+    let timer = null;
+    const flush = () => {
+        console.log(`♻️  ${[...changed].join(', ')} changed — reloading ${reloadClients.size} page(s)`);
+        changed.clear();
+        for (const client of reloadClients) client.write('data: reload\n\n');
+    };
+    const onChange = (dir, name) => {
+        const rel = path.relative(ROOT_DIR, path.join(dir, name)).split(path.sep).join('/');
+        if (isPrivate(rel) || !CONTENT_TYPES[path.extname(rel).toLowerCase()]) return;
+        changed.add(rel);
+        // A build writes several files; reload once it's done
+        clearTimeout(timer);
+        timer = setTimeout(flush, 200);
+    };
+
+    fs.watch(ROOT_DIR, (event, name) => name && onChange(ROOT_DIR, name));
+    for (const entry of fs.readdirSync(ROOT_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory() || isPrivate(entry.name) || ['scripts', 'posts'].includes(entry.name)) continue;
+        const dir = path.join(ROOT_DIR, entry.name);
+        fs.watch(dir, { recursive: true }, (event, name) => name && onChange(dir, name));
+    }
+}
+
+// ── Server ─────────────────────────────────────────────────────────────
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers['host'] || 'localhost'}`);
+
+    if (url.pathname === RELOAD_PATH) return serveReloadStream(req, res);
+
+    const redirect = redirectFor(url.pathname, url.search);
+    if (redirect) {
+        res.writeHead(redirect.status, { Location: redirect.location });
+        return res.end();
+    }
+
+    for (const rule of HEADERS) {
+        if (rule.pattern.test(url.pathname)) {
+            for (const { key, value } of rule.headers) res.setHeader(key, value);
+        }
+    }
+
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) return serveApi(req, res, url);
+    return serveStatic(req, res, url);
+});
+
+let builder = null;
+const stop = () => {
+    if (builder) builder.kill();
+    process.exit();
+};
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+server.listen(PORT, () => {
+    console.log(`🌐 http://localhost:${PORT}`);
+    console.log(`   SUBSCRIBER_STORE=${process.env.SUBSCRIBER_STORE}, EMAIL_TRANSPORT=${process.env.EMAIL_TRANSPORT}`);
+    watchOutputs();
+    if (BUILD) {
+        builder = spawn(process.execPath, [path.join(__dirname, 'build-blog.js'), '--watch'], { stdio: 'inherit' });
+    }
+});
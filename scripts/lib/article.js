@@ -0,0 +1,67 @@
+/**
+ * Article HTML helpers shared by build-blog.js (feeds, search, social meta)
+ * and the newsletter emails in api/_lib.
+ */
+
+// ── Text ───────────────────────────────────────────────────────────────
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', middot: '·', times: '×', copy: '©',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', larr: '←', rarr: '→',
+};
+
+function decodeEntities(html) {
+    return html
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+        .replace(/&(\w+);/g, (m, name) => ENTITIES[name] ?? m);
+}
+
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/g, ' ')
+        .replace(/<\/?(?:p|div|h[1-6]|li|ul|ol|blockquote|pre|table|tr|td|th|br|hr)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// ── Article extraction ─────────────────────────────────────────────────
+// Inner HTML of <div id="content-{lang}">, matching nested divs
+function extractLangContent(content, lang) {
+    const open = content.match(new RegExp(`<div[^>]*\\bid="content-${lang}"[^>]*>`));
+    if (!open) return null;
+    const start = open.index + open[0].length;
+    const re = /<div\b|<\/div>/g;
+    re.lastIndex = start;
+    let depth = 1;
+    let m;
+    while ((m = re.exec(content))) {
+        depth += m[0] === '</div>' ? -1 : 1;
+        if (depth === 0) return content.slice(start, m.index);
+    }
+    return null;
+}
+
+// Article body of a post page in one language, as used for RSS content:encoded
+function extractArticle(html, lang = 'en') {
+    // Extract content inside <article class="article">...</article>
+    const articleMatch = html.match(/<article\s+class="article">([\s\S]*?)<\/article>/);
+    if (!articleMatch) return null;
+    let content = articleMatch[1];
+    // Strip the language toggle buttons and article-footer if present
+    content = content.replace(/<div class="lang-toggle">[\s\S]*?<\/div>/, '');
+    content = content.replace(/<footer[\s\S]*?<\/footer>/, '');
+    // Strip script tags
+    content = content.replace(/<script[\s\S]*?<\/script>/g, '');
+    // Bilingual posts: keep only the requested language
+    if (content.includes('id="content-en"')) {
+        content = extractLangContent(content, lang);
+        if (content === null) return null;
+    } else if (lang !== 'en') {
+        return null;
+    }
+    return content.trim();
+}
+
+module.exports = { ENTITIES, decodeEntities, htmlToText, extractLangContent, extractArticle };
@@ -0,0 +1,304 @@
+/**
+ * Minimal Markdown renderer for blog sources.
+ * Covers what the article stylesheet knows how to display: headings,
+ * paragraphs, lists, blockquotes, fenced code, tables, rules and raw HTML.
+ * Also parses front matter and splits bilingual bodies by language.
+ * Zero dependencies — uses only Node.js built-ins.
+ */
+
+// ── Front matter ───────────────────────────────────────────────────────
+// Flat `key: value` pairs between `---` fences. Inline `[a, b]` arrays and
+// `- item` lists are joined with ", " so they read like BLOG_META tags.
+// `entries` keeps every line (with its 1-based file line) for validation.
+function parseFrontMatter(source) {
+    const match = source.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) return { meta: {}, entries: [], body: source, bodyLine: 1 };
+
+    const meta = {};
+    const entries = [];
+    let listEntry = null;
+    match[1].split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const item = line.match(/^\s+-\s+(.*)$/);
+        if (item && listEntry) {
+            const val = unquote(item[1].trim());
+            listEntry.value = listEntry.value ? `${listEntry.value}, ${val}` : val;
+            if (val) meta[listEntry.key] = listEntry.value;
+            return;
+        }
+        const idx = line.indexOf(':');
+        if (idx === -1) {
+            entries.push({ key: null, value: line.trim(), line: i + 2 });
+            return;
+        }
+        const key = line.slice(0, idx).trim();
+        let val = line.slice(idx + 1).trim();
+        if (val.startsWith('[') && val.endsWith(']')) {
+            val = val.slice(1, -1).split(',').map(v => unquote(v.trim())).join(', ');
+        } else {
+            val = unquote(val);
+        }
+        const entry = { key, value: val, line: i + 2 };
+        entries.push(entry);
+        listEntry = val ? null : entry;
+        if (key && val) meta[key] = val;
+    });
+
+    const bodyLine = match[0].split('\n').length;
+    return { meta, entries, body: source.slice(match[0].length), bodyLine };
+}
+
+function unquote(s) {
+    if (s.length >= 2 && (s[0] === '"' || s[0] === "'") && s[s.length - 1] === s[0]) {
+        return s.slice(1, -1);
+    }
+    return s;
+}
+
+// ── Languages ──────────────────────────────────────────────────────────
+// A bilingual body is split at `<!-- lang:en -->` / `<!-- lang:zh -->` marker
+// lines; text before the first marker is English.
+const LANG_MARKER = /^<!--\s*lang:\s*(en|zh)\s*-->[ \t]*$/gm;
+
+function splitLanguages(body) {
+    const parts = { en: '', zh: '' };
+    let lang = 'en';
+    let last = 0;
+    for (const m of body.matchAll(LANG_MARKER)) {
+        parts[lang] += body.slice(last, m.index);
+        lang = m[1];
+        last = m.index + m[0].length;
+    }
+    parts[lang] += body.slice(last);
+    return parts;
+}
+
+// ── Inline ─────────────────────────────────────────────────────────────
+function escapeHtml(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Like escapeHtml, but leaves entities (&mdash;) and inline tags (<em>) alone
+// so authors can mix raw HTML into Markdown the way the HTML posts do.
+function escapeText(s) {
+    return s
+        .replace(/&(?!#?\w+;)/g, '&amp;')
+        .replace(/<(?![a-zA-Z/!])/g, '&lt;');
+}
+
+function linkAttrs(href) {
+    return /^https?:\/\//.test(href) && !href.startsWith('https://mkyang.ai')
+        ? ' target="_blank" rel="noopener"'
+        : '';
+}
+
+function renderInline(text) {
+    const stash = [];
+    const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let out = text
+        // Backslash escapes
+        .replace(/\\([\\`*_{}\[\]()#+\-.!~|<>])/g, (_, ch) => hold(escapeHtml(ch)))
+        // Code spans
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        // Autolinks
+        .replace(/<(https?:\/\/[^\s>]+)>/g, (_, url) => hold(`<a href="${escapeHtml(url)}"${linkAttrs(url)}>${escapeHtml(url)}</a>`))
+        // Images
+        .replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (_, alt, src, title) =>
+            hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''} loading="lazy">`));
+
+    // Links (label may contain inline markup, so render it first)
+    out = out.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (_, label, href, title) =>
+        hold(`<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}${linkAttrs(href)}>${renderEmphasis(escapeText(label))}</a>`));
+
+    out = renderEmphasis(escapeText(out))
+        // Hard line breaks: two trailing spaces or a trailing backslash
+        .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (_, i) => stash[i]);
+}
+
+function renderEmphasis(s) {
+    return s
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+// ── Blocks ─────────────────────────────────────────────────────────────
+const RE_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const RE_HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RE_RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const RE_QUOTE = /^ {0,3}>\s?/;
+const RE_BULLET = /^( {0,3})([-*+])\s+(.*)$/;
+const RE_ORDERED = /^( {0,3})(\d{1,9})[.)]\s+(.*)$/;
+const RE_HTML = /^ {0,3}<(?:!--|\/?[a-zA-Z][\w-]*(?:\s|\/?>|$))/;
+const RE_TABLE_SEP = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isBlank(line) {
+    return !line.trim();
+}
+
+function startsBlock(line) {
+    return RE_FENCE.test(line) || RE_HEADING.test(line) || RE_RULE.test(line) ||
+        RE_QUOTE.test(line) || RE_BULLET.test(line) || RE_ORDERED.test(line) || RE_HTML.test(line);
+}
+
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(c => c.trim());
+}
+
+function renderBlocks(lines, separator = '\n') {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        let m;
+
+        if (isBlank(line)) { i++; continue; }
+
+        // Fenced code
+        if ((m = line.match(RE_FENCE))) {
+            const fence = m[1];
+            const lang = m[2];
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence)) code.push(lines[i++]);
+            i++;
+            const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+            out.push(`<pre><code${cls}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if ((m = line.match(RE_HEADING))) {
+            const level = m[1].length;
+            out.push(`<h${level}>${renderInline(m[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RE_RULE.test(line)) {
+            out.push('<div class="section-divider"></div>');
+            i++;
+            continue;
+        }
+
+        // Raw HTML block runs until the next blank line
+        if (RE_HTML.test(line)) {
+            const html = [];
+            while (i < lines.length && !isBlank(lines[i])) html.push(lines[i++]);
+            out.push(html.join('\n'));
+            continue;
+        }
+
+        if (RE_QUOTE.test(line)) {
+            const quote = [];
+            while (i < lines.length && !isBlank(lines[i])) quote.push(lines[i++].replace(RE_QUOTE, ''));
+            out.push(`<blockquote>\n${renderBlocks(quote)}\n</blockquote>`);
+            continue;
+        }
+
+        if (RE_BULLET.test(line) || RE_ORDERED.test(line)) {
+            const result = renderList(lines, i);
+            out.push(result.html);
+            i = result.next;
+            continue;
+        }
+
+        // Pipe table: header row followed by a separator row
+        if (line.includes('|') && i + 1 < lines.length && RE_TABLE_SEP.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const head = splitRow(line);
+            const aligns = splitRow(lines[i + 1]).map(c =>
+                c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '');
+            const cell = (tag, text, idx) =>
+                `<${tag}${aligns[idx] ? ` style="text-align:${aligns[idx]}"` : ''}>${renderInline(text)}</${tag}>`;
+            i += 2;
+            const rows = [];
+            while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                rows.push(`<tr>${splitRow(lines[i++]).map((c, idx) => cell('td', c, idx)).join('')}</tr>`);
+            }
+            out.push(`<table>\n<thead><tr>${head.map((c, idx) => cell('th', c, idx)).join('')}</tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`);
+            continue;
+        }
+
+        // Paragraph (setext headings are folded in here too)
+        const para = [line];
+        i++;
+        while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+            if (/^ {0,3}=+\s*$/.test(lines[i]) || /^ {0,3}-+\s*$/.test(lines[i])) break;
+            para.push(lines[i++]);
+        }
+        if (i < lines.length && /^ {0,3}(=+|-+)\s*$/.test(lines[i]) && !isBlank(lines[i])) {
+            const level = lines[i].trim()[0] === '=' ? 1 : 2;
+            out.push(`<h${level}>${renderInline(para.join('\n').trim())}</h${level}>`);
+            i++;
+            continue;
+        }
+        out.push(`<p>${renderInline(para.map(l => l.replace(/^\s+/, '')).join('\n'))}</p>`);
+    }
+
+    return out.join(separator);
+}
+
+function renderList(lines, start) {
+    const first = lines[start].match(RE_BULLET) || lines[start].match(RE_ORDERED);
+    const ordered = !RE_BULLET.test(lines[start]);
+    const marker = ordered ? RE_ORDERED : RE_BULLET;
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const m = lines[i].match(marker);
+        if (!m || m[1].length > first[1].length + 1) break;
+        const indent = m[0].length - m[3].length;
+        const body = [m[3]];
+        i++;
+        while (i < lines.length) {
+            const next = lines[i];
+            if (isBlank(next)) {
+                // A blank line only continues the item if indented content follows
+                const after = lines[i + 1];
+                if (after !== undefined && /^\s+/.test(after) && after.search(/\S/) >= indent) {
+                    body.push('');
+                    loose = true;
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            if (next.search(/\S/) >= indent) {
+                body.push(next.slice(indent));
+            } else if (!startsBlock(next)) {
+                body.push(next.trim()); // lazy continuation
+            } else {
+                break;
+            }
+            i++;
+        }
+        items.push(body);
+        // Blank line between items makes the list loose
+        if (i < lines.length && isBlank(lines[i]) && lines[i + 1] !== undefined && marker.test(lines[i + 1])) {
+            loose = true;
+            i++;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && first[2] !== '1' ? ` start="${Number(first[2])}"` : '';
+    const html = items.map(body => {
+        let inner = renderBlocks(body);
+        if (!loose) inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+        return `<li>${inner}</li>`;
+    }).join('\n');
+    return { html: `<${tag}${startAttr}>\n${html}\n</${tag}>`, next: i };
+}
+
+function renderMarkdown(source) {
+    return renderBlocks(source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), '\n\n');
+}
+
+module.exports = { parseFrontMatter, splitLanguages, renderMarkdown, renderInline, escapeHtml };
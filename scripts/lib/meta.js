@@ -0,0 +1,75 @@
+/**
+ * BLOG_META parsing shared by the build scripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const META_BLOCK = /<!--\s*\nBLOG_META\n([\s\S]*?)\nEND_META\s*\n-->/;
+
+// "2026-10-20", "2026-10-20 09:30", "2026-10-20T09:30:00+08:00", "2026-10-20 09:30 Z"
+const POST_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?\s*(Z|UTC|[+-]\d{2}:?\d{2})?)?$/;
+
+// ── Post dates ─────────────────────────────────────────────────────────
+// A post's `date` is a day, optionally with a time and a UTC offset; a bare
+// day means midnight and a time without an offset is UTC. Returns
+// { day: "YYYY-MM-DD" as written, publishAt: ISO time in UTC } or null.
+function parseDate(value) {
+    const m = POST_DATE.exec(value || '');
+    if (!m) return null;
+    const [, y, mo, d, h = '00', mi = '00', sec = '00', zone = 'Z'] = m;
+    const day = new Date(Date.UTC(+y, +mo - 1, +d));
+    if (day.toISOString().slice(0, 10) !== `${y}-${mo}-${d}` || +h > 23 || +mi > 59 || +sec > 59) return null;
+
+    const offset = /^[+-]/.test(zone)
+        ? (zone[0] === '-' ? -1 : 1) * (+zone.slice(1, 3) * 60 + +zone.slice(-2))
+        : 0;
+    if (Math.abs(offset) > 14 * 60 || +zone.slice(-2) > 59) return null;
+    const time = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec) - offset * 60 * 1000;
+    return { day: `${y}-${mo}-${d}`, publishAt: new Date(time).toISOString().replace(/\.000Z$/, 'Z') };
+}
+
+// Whether a post's date has come (posts dated in the future are scheduled)
+function isDue(meta, now = Date.now()) {
+    return !meta.publishAt || Date.parse(meta.publishAt) <= now;
+}
+
+// Preview directory name for a draft: an HMAC of the slug, so it can't be
+// guessed and stays the same across builds; null without a secret
+function draftToken(slug, secret) {
+    if (!secret) return null;
+    return crypto.createHmac('sha256', secret).update(`draft:${slug}`).digest('base64url').slice(0, 22);
+}
+
+// ── Parse BLOG_META from an HTML file ──────────────────────────────────
+function parseMeta(filePath) {
+    const html = fs.readFileSync(filePath, 'utf-8');
+    const match = html.match(META_BLOCK);
+    if (!match) return null;
+
+    const meta = {};
+    for (const line of match[1].split('\n')) {
+        const idx = line.indexOf(':');
+        if (idx === -1) continue;
+        const key = line.slice(0, idx).trim();
+        const val = line.slice(idx + 1).trim();
+        if (key && val) meta[key] = val;
+    }
+    meta.slug = path.basename(filePath);
+    // `date` becomes the day alone; the exact time is in `publishAt`
+    const date = parseDate(meta.date);
+    if (date) Object.assign(meta, { date: date.day, publishAt: date.publishAt });
+    return meta;
+}
+
+function splitTags(tags) {
+    return (tags || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+// URL-safe tag slug: "Agent Payments" -> "agent-payments"
+function tagSlug(tag) {
+    return tag.toLowerCase().replace(/[^a-z0-9\u4e00-\u9fff]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = { META_BLOCK, parseMeta, parseDate, isDue, draftToken, splitTags, tagSlug };
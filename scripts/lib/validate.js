@@ -0,0 +1,174 @@
+/**
+ * BLOG_META / front matter validation for build-blog.js.
+ * Collects every problem as { file, line, message } so the build can
+ * report them all at once instead of silently dropping a post.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./markdown');
+const { META_BLOCK, parseDate } = require('./meta');
+
+const REQUIRED_KEYS = ['title', 'date'];
+const KNOWN_KEYS = new Set([
+    'title', 'title_zh', 'date', 'updated', 'description', 'description_zh',
+    'tags', 'bilingual', 'hidden', 'image', 'status',
+]);
+const BOOLEAN_KEYS = new Set(['bilingual', 'hidden']);
+const STATUSES = ['draft', 'published'];
+const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} .+-]*$/u;
+
+function lineAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+// BLOG_META lines as { key, value, line } (key is null for lines without ":")
+function htmlMetaEntries(html) {
+    const match = html.match(META_BLOCK);
+    if (!match) return null;
+    const firstLine = lineAt(html, match.index + match[0].indexOf('\nBLOG_META\n') + '\nBLOG_META\n'.length);
+    const entries = [];
+    match[1].split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        const idx = line.indexOf(':');
+        if (idx === -1) {
+            entries.push({ key: null, value: line.trim(), line: firstLine + i });
+        } else {
+            entries.push({ key: line.slice(0, idx).trim(), value: line.slice(idx + 1).trim(), line: firstLine + i });
+        }
+    });
+    return { entries, line: lineAt(html, match.index) };
+}
+
+function isIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+function checkEntries(file, entries, blockLine, problems) {
+    const report = (line, message) => problems.push({ file, line, message });
+    const seen = new Map();
+
+    for (const { key, value, line } of entries) {
+        if (key === null) {
+            report(line, `malformed line "${value}" (expected "key: value")`);
+            continue;
+        }
+        if (!KNOWN_KEYS.has(key)) {
+            report(line, `unknown key "${key}" (known: ${[...KNOWN_KEYS].join(', ')})`);
+            continue;
+        }
+        if (seen.has(key)) {
+            report(line, `duplicate key "${key}" (first set on line ${seen.get(key)})`);
+            continue;
+        }
+        seen.set(key, line);
+        if (!value) {
+            report(line, `"${key}" is empty`);
+        } else if (key === 'date' && !parseDate(value)) {
+            report(line, `"date" must be an ISO date (YYYY-MM-DD), optionally with a time and UTC offset (YYYY-MM-DD HH:MM+08:00), got "${value}"`);
+        } else if (key === 'updated' && !isIsoDate(value)) {
+            report(line, `"updated" must be an ISO date (YYYY-MM-DD), got "${value}"`);
+        } else if (BOOLEAN_KEYS.has(key) && value !== 'true' && value !== 'false') {
+            report(line, `"${key}" must be true or false, got "${value}"`);
+        } else if (key === 'status' && !STATUSES.includes(value)) {
+            report(line, `"status" must be ${STATUSES.join(' or ')}, got "${value}"`);
+        } else if (key === 'tags') {
+            const tags = value.split(',').map(t => t.trim());
+            const lower = new Set();
+            for (const tag of tags) {
+                if (!tag) {
+                    report(line, `"tags" has an empty entry in "${value}"`);
+                } else if (!TAG_PATTERN.test(tag)) {
+                    report(line, `tag "${tag}" may only contain letters, digits, spaces, ".", "+" and "-"`);
+                } else if (lower.has(tag.toLowerCase())) {
+                    report(line, `tag "${tag}" is listed twice`);
+                }
+                lower.add(tag.toLowerCase());
+            }
+        }
+    }
+
+    for (const key of REQUIRED_KEYS) {
+        if (!seen.has(key)) report(blockLine, `missing required key "${key}"`);
+    }
+
+    const get = key => (entries.find(e => e.key === key) || {}).value;
+    const date = parseDate(get('date'));
+    if (date && isIsoDate(get('updated') || '') && get('updated') < date.day) {
+        report(seen.get('updated'), `"updated" (${get('updated')}) is before "date" (${date.day})`);
+    }
+}
+
+/**
+ * Validate posts/*.md sources and hand-authored blog/*.html posts.
+ * HTML generated from a Markdown source is checked through that source.
+ */
+function validatePosts({ blogDir, postsDir, generatedMarker, rootDir }) {
+    const problems = [];
+    const rel = f => path.relative(rootDir, f);
+    const slugs = new Map(); // lower-cased slug -> file that claims it
+
+    const claim = (slug, file) => {
+        const key = slug.toLowerCase();
+        if (slugs.has(key)) {
+            problems.push({ file: rel(file), line: 1, message: `slug "${slug}" is already used by ${rel(slugs.get(key))}` });
+        } else {
+            slugs.set(key, file);
+        }
+    };
+
+    const sources = fs.existsSync(postsDir)
+        ? fs.readdirSync(postsDir).filter(f => f.endsWith('.md') && !f.endsWith('.zh.md')).sort()
+        : [];
+    const compiled = new Set();
+
+    for (const f of sources) {
+        const file = path.join(postsDir, f);
+        const { entries } = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+        const slug = f.replace(/\.md$/, '.html');
+        compiled.add(slug);
+        if (!entries.length) {
+            problems.push({ file: rel(file), line: 1, message: 'missing front matter (--- key: value --- block)' });
+        } else {
+            checkEntries(rel(file), entries, 1, problems);
+        }
+        claim(slug, file);
+    }
+
+    if (fs.existsSync(postsDir)) {
+        for (const f of fs.readdirSync(postsDir).filter(f => f.endsWith('.zh.md'))) {
+            if (!sources.includes(f.replace(/\.zh\.md$/, '.md'))) {
+                problems.push({ file: rel(path.join(postsDir, f)), line: 1, message: `no English source ${f.replace(/\.zh\.md$/, '.md')} to pair with` });
+            }
+        }
+    }
+
+    for (const f of fs.readdirSync(blogDir).filter(f => f.endsWith('.html') && f !== 'index.html').sort()) {
+        const file = path.join(blogDir, f);
+        const html = fs.readFileSync(file, 'utf-8');
+        if (html.includes(generatedMarker)) {
+            if (!compiled.has(f)) {
+                problems.push({ file: rel(file), line: 1, message: 'generated from a Markdown source that no longer exists; delete it' });
+            }
+            continue;
+        }
+        const meta = htmlMetaEntries(html);
+        if (!meta) {
+            problems.push({ file: rel(file), line: 1, message: 'missing BLOG_META block; the post would be left off the index and feeds' });
+        } else {
+            checkEntries(rel(file), meta.entries, meta.line, problems);
+            // Everything in blog/ is deployed as is, so only Markdown sources can be drafts
+            const draft = meta.entries.find(e => e.key === 'status' && e.value === 'draft');
+            if (draft) {
+                problems.push({ file: rel(file), line: draft.line, message: `a draft in blog/ would still be public at /blog/${f.replace(/\.html$/, '')}; write it as posts/${f.replace(/\.html$/, '.md')} instead` });
+            }
+        }
+        claim(f, file);
+    }
+
+    return problems;
+}
+
+module.exports = { validatePosts, isIsoDate, KNOWN_KEYS };
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Newsletter preview for mkyang.ai
+ * Renders the email /api/send-newsletter would send, reading the local
+ * blog/<slug> file (or feed.json for a digest) instead of fetching
+ * https://mkyang.ai.
+ *
+ * Usage: node scripts/preview-newsletter.js <slug> [--format teaser|full] [options]
+ *        node scripts/preview-newsletter.js --digest weekly|monthly [--period 2026-W41|2026-09] [options]
+ *   --lang  en (default) or zh; zh renders the Chinese side of bilingual posts
+ *   --out   write the HTML to a file instead of stdout
+ *   --text  print the text/plain part instead of the HTML
+ *   --to    test-send it (subject "[Test] ...") through EMAIL_TRANSPORT;
+ *           EMAIL_TRANSPORT=outbox keeps it on disk under .data/outbox
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const JSON_FEED = path.join(ROOT_DIR, 'feed.json');
+const USAGE = 'Usage: node scripts/preview-newsletter.js <slug> [--format teaser|full] [--lang en|zh] [--out file.html] [--text] [--to a@x.com,b@y.com]\n' +
+    '       node scripts/preview-newsletter.js --digest weekly|monthly [--period 2026-W41|2026-09] [...]';
+
+function arg(name) {
+    const i = process.argv.indexOf(name);
+    return i === -1 ? null : process.argv[i + 1];
+}
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+async function main() {
+    // Emails always carry signed links; a local preview can sign them with anything
+    if (!process.env.UNSUBSCRIBE_SECRET) process.env.UNSUBSCRIBE_SECRET = 'preview-only';
+    const newsletter = await import('../api/_lib/newsletter.js');
+    const digest = arg('--digest');
+    const language = arg('--lang') || 'en';
+    if (!['en', 'zh'].includes(language)) fail(`❌ Unknown language "${language}" (en, zh)`);
+    let render;
+
+    if (digest) {
+        const range = newsletter.digestPeriod(digest, arg('--period'));
+        if (!range) fail(`❌ Invalid digest "${digest}" or period "${arg('--period')}"\n${USAGE}`);
+        const posts = newsletter.digestPosts(JSON.parse(fs.readFileSync(JSON_FEED, 'utf-8')), range);
+        if (!posts.length) fail(`❌ No posts in ${range.label}`);
+        render = (email, options) => newsletter.digestMessage({ ...range, posts }, { email, language }, options);
+    } else {
+        const slugArg = process.argv[2];
+        if (!slugArg || slugArg.startsWith('--')) fail(USAGE);
+        const slug = slugArg.endsWith('.html') ? slugArg : `${slugArg}.html`;
+        const file = path.join(BLOG_DIR, slug);
+        if (!fs.existsSync(file)) fail(`❌ No such post: ${path.relative(process.cwd(), file)}`);
+
+        const format = arg('--format') || 'teaser';
+        if (!newsletter.FORMATS.includes(format)) fail(`❌ Unknown format "${format}" (${newsletter.FORMATS.join(', ')})`);
+        const post = newsletter.parsePost(slug, fs.readFileSync(file, 'utf-8'));
+        if (!post) fail(`❌ No BLOG_META found in ${slug}`);
+        render = (email, options) => newsletter.newsletterMessage(post, { email, language }, { format, ...options });
+    }
+
+    const to = arg('--to');
+    if (to) {
+        const { emailTransport } = await import('../api/_lib/email-transport.js');
+        const recipients = to.split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+        const outcomes = await emailTransport().send(
+            recipients.map(email => render(email, { subjectPrefix: '[Test] ' }))
+        );
+        for (const o of outcomes) {
+            console.log(o.ok ? `✅ Sent to ${o.to}` : `❌ ${o.to}: ${o.error}`);
+        }
+        if (outcomes.some(o => !o.ok)) process.exit(1);
+        return;
+    }
+
+    const message = render('subscriber@example.com');
+    const body = process.argv.includes('--text') ? message.text : message.html + '\n';
+    const out = arg('--out');
+    if (out) {
+        fs.writeFileSync(out, body);
+        console.log(`✅ "${message.subject}" written to ${out}`);
+    } else {
+        process.stdout.write(body);
+    }
+}
+
+main().catch(err => {
+    console.error('❌ Preview failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Scheduled post check for mkyang.ai
+ * Prints the slugs of scheduled posts that have come due but aren't live
+ * yet: posts whose BLOG_META date has passed, that were committed before
+ * that date, and that the deployed feed.json doesn't list. Run on a cron by
+ * .github/workflows/publish.yml, which rebuilds the site for them and then
+ * sends their newsletter. Posts pushed when already due are left to
+ * newsletter.yml, so nothing is sent twice.
+ *
+ * Given post files instead, prints the ones that are due and not hidden,
+ * e.g. to check which posts a push would announce.
+ *
+ * Markdown posts are read from their compiled blog/<slug>.html, so run
+ * build-blog.js first. Commit times come from git, so the checkout needs
+ * full history. Zero dependencies — uses only Node.js built-ins.
+ *
+ * Usage: node scripts/publish-due.js              scheduled posts now due
+ *        node scripts/publish-due.js <file>...    which of these posts are due
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseMeta, isDue } = require('./lib/meta');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const BLOG_DIR = path.join(ROOT_DIR, 'blog');
+const SITE_URL = 'https://mkyang.ai';
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// When a post first entered the repo: its HTML, or the Markdown source it
+// is compiled from; null if it was never committed
+function firstCommitted(slug) {
+    const sources = [`blog/${slug}`, `posts/${slug.replace(/\.html$/, '.md')}`];
+    const times = execFileSync('git', ['log', '--diff-filter=A', '--format=%ct', '--', ...sources], { cwd: ROOT_DIR, encoding: 'utf-8' })
+        .split('\n').filter(Boolean).map(Number);
+    return times.length ? Math.min(...times) * 1000 : null;
+}
+
+async function main() {
+    const files = process.argv.slice(2);
+    const now = Date.now();
+
+    if (files.length) {
+        for (const file of files) {
+            const meta = parseMeta(path.resolve(file));
+            if (!meta) fail(`No BLOG_META in ${file}`);
+            if (meta.hidden !== 'true' && isDue(meta, now)) console.log(meta.slug);
+        }
+        return;
+    }
+
+    const feedRes = await fetch(`${SITE_URL}/feed.json`);
+    if (!feedRes.ok) fail(`Could not load ${SITE_URL}/feed.json (${feedRes.status})`);
+    const live = new Set((await feedRes.json()).items.map(item => path.basename(new URL(item.url).pathname)));
+
+    const due = fs.readdirSync(BLOG_DIR)
+        .filter(f => f.endsWith('.html') && f !== 'index.html' && !live.has(f))
+        .map(f => parseMeta(path.join(BLOG_DIR, f)))
+        .filter(p => p && p.hidden !== 'true' && p.publishAt && isDue(p, now))
+        .filter(p => {
+            const committed = firstCommitted(p.slug);
+            return committed !== null && committed < Date.parse(p.publishAt);
+        })
+        .sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+
+    for (const p of due) console.log(p.slug);
+}
+
+main().catch(err => fail(err.message));
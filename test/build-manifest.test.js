@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const REPO = path.join(__dirname, '..');
+let root;
+
+function build(...args) {
+    const result = spawnSync(process.execPath, [path.join(root, 'scripts', 'build-blog.js'), ...args], {
+        cwd: root,
+        encoding: 'utf-8',
+        env: { ...process.env, DRAFT_PREVIEW_SECRET: '' },
+    });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+const read = file => fs.readFileSync(path.join(root, file), 'utf-8');
+
+before(() => {
+    // The build resolves everything from its own location, so a copy of the
+    // scripts and pages is a self-contained site to build in
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-manifest-'));
+    fs.cpSync(path.join(REPO, 'scripts'), path.join(root, 'scripts'), { recursive: true });
+    fs.cpSync(path.join(REPO, 'blog'), path.join(root, 'blog'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'posts'));
+    fs.writeFileSync(path.join(root, 'posts', 'manifest-test.md'),
+        '---\ntitle: Manifest test\ndate: 2026-01-01\ndescription: A compiled post\n---\n\nFirst version.\n');
+    build('--force');
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('a second build with nothing changed writes nothing', () => {
+    const out = build();
+    assert.doesNotMatch(out, /Generated|Compiled/);
+    assert.match(out, /output\(s\) already up to date/);
+});
+
+test('an output edited by hand is rebuilt even though its inputs did not change', () => {
+    const feed = read('feed.xml');
+    fs.writeFileSync(path.join(root, 'feed.xml'), feed.replace('<channel>', '<channel><!-- tampered -->'));
+    assert.match(build(), /Generated .*feed\.xml/);
+    assert.equal(read('feed.xml'), feed);
+});
+
+test('a deleted output is rebuilt', () => {
+    const page = read('blog/manifest-test.html');
+    fs.unlinkSync(path.join(root, 'blog', 'manifest-test.html'));
+    assert.match(build(), /Compiled 1 Markdown post/);
+    assert.equal(read('blog/manifest-test.html'), page);
+});
+
+test('a changed source rebuilds its page', () => {
+    const source = path.join(root, 'posts', 'manifest-test.md');
+    fs.writeFileSync(source, fs.readFileSync(source, 'utf-8').replace('First version.', 'Second version.'));
+    assert.match(build(), /Compiled 1 Markdown post/);
+    assert.match(read('blog/manifest-test.html'), /Second version\./);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const REPO = path.join(__dirname, '..');
+let root;
+
+function check() {
+    return spawnSync(process.execPath, [path.join(root, 'scripts', 'build-blog.js'), '--check'], { cwd: root, encoding: 'utf-8' });
+}
+
+function writePost(file, lines) {
+    fs.writeFileSync(path.join(root, file), lines.join('\n') + '\n');
+}
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'build-check-'));
+    fs.cpSync(path.join(REPO, 'scripts'), path.join(root, 'scripts'), { recursive: true });
+    fs.cpSync(path.join(REPO, 'blog'), path.join(root, 'blog'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'posts'));
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('the posts in the repo pass', () => {
+    const result = check();
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /All post meta is valid/);
+});
+
+test('reports an unknown key, an empty tag and an impossible date with file:line, then exits 1', () => {
+    writePost('posts/broken.md', [
+        '---',
+        'title: Broken',
+        'date: 2026-02-30',
+        'tags: ai, , tools',
+        'autor: Someone',
+        '---',
+        '',
+        'Body.',
+    ]);
+    const html = fs.readFileSync(path.join(root, 'blog', 'token-is-class.html'), 'utf-8');
+    const metaLine = html.slice(0, html.indexOf('\ntags: ')).split('\n').length + 1;
+    fs.writeFileSync(path.join(root, 'blog', 'token-is-class.html'), html.replace('\ntags: ', '\ntagz: '));
+
+    const result = check();
+    assert.equal(result.status, 1);
+    const errors = result.stderr.split('\n').filter(l => l.startsWith('❌'));
+    assert.deepEqual(errors.map(l => l.split(': ')[0]), [
+        '❌ posts/broken.md:3',
+        '❌ posts/broken.md:4',
+        '❌ posts/broken.md:5',
+        `❌ blog/token-is-class.html:${metaLine}`,
+    ]);
+    assert.match(errors[0], /"date" must be an ISO date .*got "2026-02-30"/);
+    assert.match(errors[1], /"tags" has an empty entry in "ai, , tools"/);
+    assert.match(errors[2], /unknown key "autor"/);
+    assert.match(errors[3], /unknown key "tagz"/);
+    assert.match(result.stderr, /4 problem\(s\) found\./);
+    assert.equal(fs.existsSync(path.join(root, 'blog', 'broken.html')), false);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv } from '../api/_lib/csv.js';
+
+test('rows survive a round trip, quoting included', () => {
+    const rows = [
+        ['email', 'status', 'tags'],
+        ['a@example.com', 'active', 'ai;crypto'],
+        ['b@example.com', 'pending', 'comma, "quoted" and\nnewline'],
+        ['c@example.com', '', ''],
+    ];
+    const csv = toCsv(rows);
+    assert.ok(csv.endsWith('\r\n'));
+    assert.deepEqual(parseCsv(csv), rows);
+});
+
+test('cells a spreadsheet would run as formulas are guarded, and unguarded on import', () => {
+    const rows = [['=HYPERLINK("https://evil.test")@x.y', '+1', '-1', '@SUM(A1)', '\tx', 'safe=1']];
+    const csv = toCsv(rows);
+    assert.equal(csv, `"'=HYPERLINK(""https://evil.test"")@x.y",'+1,'-1,'@SUM(A1),'\tx,safe=1\r\n`);
+    assert.deepEqual(parseCsv(csv), rows);
+});
+
+test('parses spreadsheet exports: BOM, LF endings, no trailing newline', () => {
+    assert.deepEqual(parseCsv('\uFEFFemail,language\na@example.com,zh'), [['email', 'language'], ['a@example.com', 'zh']]);
+    assert.deepEqual(parseCsv('a,b\r\n\r\nc,d\r\n'), [['a', 'b'], [''], ['c', 'd']]);
+    assert.deepEqual(parseCsv('"x ""y""",z\n'), [['x "y"', 'z']]);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { draftToken } = require('../scripts/lib/meta');
+
+test('draft tokens are stable, URL-safe and 22 characters long', () => {
+    const token = draftToken('my-draft', 'preview-secret');
+    assert.match(token, /^[A-Za-z0-9_-]{22}$/);
+    assert.equal(draftToken('my-draft', 'preview-secret'), token);
+});
+
+test('each slug and secret gets its own token', () => {
+    const token = draftToken('my-draft', 'preview-secret');
+    assert.notEqual(draftToken('other-draft', 'preview-secret'), token);
+    assert.notEqual(draftToken('my-draft', 'rotated-secret'), token);
+});
+
+test('there is no token without a secret', () => {
+    assert.equal(draftToken('my-draft', undefined), null);
+    assert.equal(draftToken('my-draft', ''), null);
+});
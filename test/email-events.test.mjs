@@ -0,0 +1,95 @@
+import { test, mock, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { promises as fs } from 'fs';
+import { Readable } from 'stream';
+import os from 'os';
+import path from 'path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-events-'));
+const SUBSCRIBERS = path.join(dir, 'subscribers.json');
+const KEY = Buffer.from('webhook-signing-key');
+Object.assign(process.env, {
+    SUBSCRIBER_STORE: 'file',
+    SUBSCRIBER_STORE_FILE: SUBSCRIBERS,
+    DELIVERY_LOG: 'file',
+    DELIVERY_LOG_FILE: path.join(dir, 'deliveries.json'),
+    RESEND_WEBHOOK_SECRET: `whsec_${KEY.toString('base64')}`,
+});
+
+const { default: handler } = await import('../api/email-events.js');
+
+const now = Date.parse('2026-10-01T12:00:00Z');
+mock.method(Date, 'now', () => now);
+
+beforeEach(() => fs.writeFile(SUBSCRIBERS, JSON.stringify([
+    { id: 'sub-1', email: 'reader@example.com', status: 'active', subscribedAt: '2026-01-01T00:00:00.000Z' },
+])));
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const COMPLAINT = JSON.stringify({ type: 'email.complained', data: { email_id: 'msg-1', to: ['reader@example.com'] } });
+
+function sign(body, { id = 'msg_1', timestamp = Math.floor(now / 1000), key = KEY } = {}) {
+    const signature = createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64');
+    return { 'svix-id': id, 'svix-timestamp': String(timestamp), 'svix-signature': `v1,${signature}` };
+}
+
+async function post(body, headers) {
+    const req = Object.assign(Readable.from([Buffer.from(body)]), { method: 'POST', headers });
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+    };
+    await handler(req, res);
+    return res;
+}
+
+async function subscriberStatus() {
+    return JSON.parse(await fs.readFile(SUBSCRIBERS, 'utf-8'))[0].status;
+}
+
+test('a correctly signed event is handled', async () => {
+    const res = await post(COMPLAINT, sign(COMPLAINT));
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.event, 'complained');
+    assert.equal(await subscriberStatus(), 'complained');
+});
+
+test('any one valid entry in a multi-signature header is enough', async () => {
+    const headers = sign(COMPLAINT);
+    headers['svix-signature'] = `v1,bm90IHRoZSBzaWduYXR1cmU= ${headers['svix-signature']}`;
+    assert.equal((await post(COMPLAINT, headers)).statusCode, 200);
+});
+
+test('a body changed after signing is rejected', async () => {
+    const tampered = COMPLAINT.replace('reader@', 'someone-else@');
+    const res = await post(tampered, sign(COMPLAINT));
+    assert.equal(res.statusCode, 401);
+    assert.equal(await subscriberStatus(), 'active');
+});
+
+test('a signature made with another secret is rejected', async () => {
+    const res = await post(COMPLAINT, sign(COMPLAINT, { key: Buffer.from('some-other-key') }));
+    assert.equal(res.statusCode, 401);
+});
+
+test('a timestamp more than five minutes off is rejected, even when signed', async () => {
+    const stale = Math.floor(now / 1000) - 6 * 60;
+    assert.equal((await post(COMPLAINT, sign(COMPLAINT, { timestamp: stale }))).statusCode, 401);
+    const future = Math.floor(now / 1000) + 6 * 60;
+    assert.equal((await post(COMPLAINT, sign(COMPLAINT, { timestamp: future }))).statusCode, 401);
+    assert.equal(await subscriberStatus(), 'active');
+});
+
+test('missing signature headers are rejected', async () => {
+    assert.equal((await post(COMPLAINT, {})).statusCode, 401);
+});
+
+test('a signed body that is not a JSON object is a 400', async () => {
+    for (const body of ['null', '"email.complained"', '[]', '{not json']) {
+        const res = await post(body, sign(body));
+        assert.equal(res.statusCode, 400, body);
+        assert.deepEqual(res.body, { error: 'Invalid payload' });
+    }
+});
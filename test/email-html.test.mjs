@@ -0,0 +1,95 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.UNSUBSCRIBE_SECRET = 'test-secret';
+
+const { fetchInlineImages, emailifyArticle } = await import('../api/_lib/email-html.js');
+const { newsletterMessage } = await import('../api/_lib/newsletter.js');
+
+const BASE = 'https://mkyang.ai/blog/post.html';
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+
+// url -> Response, built per request
+const responses = {
+    'https://mkyang.ai/blog/img/chart.png': () => new Response(PNG, { headers: { 'Content-Type': 'image/png' } }),
+    'https://cdn.example.com/photo.jpg?w=800&h=600': () => new Response(PNG, { headers: { 'Content-Type': 'image/jpeg; charset=binary' } }),
+    'https://mkyang.ai/blog/img/missing.png': () => new Response('Not found', { status: 404 }),
+    'https://mkyang.ai/blog/page.html': () => new Response('<html></html>', { headers: { 'Content-Type': 'text/html' } }),
+    'https://mkyang.ai/blog/img/huge.png': () => new Response(Buffer.alloc(1024 * 1024 + 1), { headers: { 'Content-Type': 'image/png' } }),
+};
+let fetched;
+mock.method(globalThis, 'fetch', async url => {
+    fetched.push(url);
+    if (!responses[url]) throw new Error('getaddrinfo ENOTFOUND');
+    return responses[url]();
+});
+mock.method(console, 'error', () => {});
+
+beforeEach(() => {
+    fetched = [];
+});
+
+const ARTICLE = [
+    '<p>Intro <a href="/about.html">about</a></p>',
+    '<img src="img/chart.png" alt="Chart">',
+    '<img src="https://cdn.example.com/photo.jpg?w=800&amp;h=600" alt="Photo">',
+    '<img src="img/chart.png" alt="Chart again">',
+    '<img src="img/missing.png" alt="Missing">',
+    '<img src="data:image/gif;base64,R0lGODlh" alt="Pixel">',
+].join('\n');
+
+test('fetches each image once and keeps only the ones that load as small images', async () => {
+    const images = await fetchInlineImages([ARTICLE, '<img src="/blog/page.html"><img src="/blog/img/huge.png"><img src="https://gone.example/x.png">'], BASE);
+    assert.deepEqual(fetched, [
+        'https://mkyang.ai/blog/img/chart.png',
+        'https://cdn.example.com/photo.jpg?w=800&h=600',
+        'https://mkyang.ai/blog/img/missing.png',
+        'https://mkyang.ai/blog/page.html',
+        'https://mkyang.ai/blog/img/huge.png',
+        'https://gone.example/x.png',
+    ]);
+    assert.deepEqual([...images.keys()], ['https://mkyang.ai/blog/img/chart.png', 'https://cdn.example.com/photo.jpg?w=800&h=600']);
+    assert.deepEqual(images.get('https://mkyang.ai/blog/img/chart.png'), {
+        filename: 'chart.png', content: PNG.toString('base64'), contentType: 'image/png', cid: 'image-1@mkyang.ai',
+    });
+    assert.equal(images.get('https://cdn.example.com/photo.jpg?w=800&h=600').contentType, 'image/jpeg');
+});
+
+test('attached images point at their cid, the rest stay absolute links', async () => {
+    const html = emailifyArticle(ARTICLE, BASE, await fetchInlineImages([ARTICLE], BASE));
+    const srcs = [...html.matchAll(/<img src="([^"]*)"/g)].map(m => m[1]);
+    assert.deepEqual(srcs, [
+        'cid:image-1@mkyang.ai',
+        'cid:image-2@mkyang.ai',
+        'cid:image-1@mkyang.ai',
+        'https://mkyang.ai/blog/img/missing.png',
+        'data:image/gif;base64,R0lGODlh',
+    ]);
+    assert.match(html, /<a href="https:\/\/mkyang.ai\/about.html"/);
+});
+
+test('without images every src is an absolute URL', () => {
+    const html = emailifyArticle(ARTICLE, BASE);
+    assert.match(html, /<img src="https:\/\/mkyang.ai\/blog\/img\/chart.png"/);
+    assert.match(html, /<img src="https:\/\/cdn.example.com\/photo.jpg\?w=800&amp;h=600"/);
+    assert.doesNotMatch(html, /cid:/);
+});
+
+test('a full-format message carries the images its language shows, a teaser none', async () => {
+    const post = {
+        title: 'Post', description: 'About it', postUrl: BASE, tags: [],
+        content: '<p>English</p><img src="img/chart.png" alt="Chart">',
+        zh: { title: '文章', description: '关于', content: '<p>中文</p><img src="https://cdn.example.com/photo.jpg?w=800&amp;h=600" alt="图">' },
+    };
+    const images = await fetchInlineImages([post.content, post.zh.content], BASE);
+
+    const en = newsletterMessage(post, { email: 'a@example.com', language: 'en' }, { format: 'full', images });
+    assert.deepEqual(en.attachments.map(a => a.cid), ['image-1@mkyang.ai']);
+    assert.match(en.html, /src="cid:image-1@mkyang.ai"/);
+
+    const zh = newsletterMessage(post, { email: 'b@example.com', language: 'zh' }, { format: 'full', images });
+    assert.deepEqual(zh.attachments.map(a => a.cid), ['image-2@mkyang.ai']);
+
+    const teaser = newsletterMessage(post, { email: 'a@example.com' }, { images });
+    assert.equal(teaser.attachments, undefined);
+});
@@ -0,0 +1,65 @@
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.EMAIL_TRANSPORT = 'resend';
+process.env.RESEND_API_KEY = 're_test';
+
+const { emailTransport } = await import('../api/_lib/email-transport.js');
+
+let requests;
+let failures;
+mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url, key: init.headers['Idempotency-Key'], body: JSON.parse(init.body) });
+    if (failures-- > 0) return new Response('{}', { status: 503 });
+    const ids = [].concat(JSON.parse(init.body)).map((m, i) => ({ id: `msg-${i}` }));
+    return Response.json(url.endsWith('/batch') ? { data: ids } : ids[0]);
+});
+
+beforeEach(() => {
+    requests = [];
+    failures = 0;
+});
+
+const message = (to, deliveryId) => ({
+    from: 'blog@mkyang.ai', to, subject: 'New Post', html: '<p>Hi</p>', ...(deliveryId && { deliveryId }),
+});
+
+test('a retried request keeps its idempotency key; the delivery id is not sent', async () => {
+    failures = 1;
+    const [result] = await emailTransport().send([message('a@example.com', 'post/a@example.com/1')]);
+    assert.equal(result.ok, true);
+    assert.equal(requests.length, 2);
+    assert.match(requests[0].key, /^[0-9a-f]{64}$/);
+    assert.equal(requests[1].key, requests[0].key);
+    assert.equal(requests[0].body[0].deliveryId, undefined);
+    assert.equal(requests[0].body[0].to, 'a@example.com');
+});
+
+test('the same content on another attempt gets another key', async () => {
+    await emailTransport().send([message('a@example.com', 'post/a@example.com/1')]);
+    await emailTransport().send([message('a@example.com', 'post/a@example.com/2')]);
+    assert.notEqual(requests[1].key, requests[0].key);
+});
+
+test('mail without delivery ids is sent without a key', async () => {
+    await emailTransport().send([message('a@example.com')]);
+    await emailTransport().send([message('a@example.com')]);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].key, undefined);
+    assert.equal(requests[1].key, undefined);
+});
+
+test('mail with attachments skips the batch endpoint and names each inline image', async () => {
+    const attachment = { filename: 'chart.png', content: 'iVBORw0K', contentType: 'image/png', cid: 'image-1@mkyang.ai' };
+    const results = await emailTransport().send([
+        { ...message('a@example.com', 'post/a@example.com/1'), attachments: [attachment] },
+        message('b@example.com', 'post/b@example.com/1'),
+    ]);
+    assert.deepEqual(results.map(r => r.ok), [true, true]);
+    assert.deepEqual(requests.map(r => r.url), ['https://api.resend.com/emails', 'https://api.resend.com/emails']);
+    assert.deepEqual(requests[0].body.attachments, [
+        { filename: 'chart.png', content: 'iVBORw0K', content_type: 'image/png', content_id: 'image-1@mkyang.ai' },
+    ]);
+    assert.equal(requests[1].body.attachments, undefined);
+    assert.notEqual(requests[0].key, requests[1].key);
+});
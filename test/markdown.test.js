@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFrontMatter, splitLanguages, renderMarkdown, renderInline } = require('../scripts/lib/markdown');
+
+test('front matter: quoted values, inline arrays and dash lists', () => {
+    const { meta, body, bodyLine } = parseFrontMatter([
+        '---',
+        'title: "Hello: World"',
+        "description: 'Single quotes'",
+        'tags: [ai, "tools"]',
+        'categories:',
+        '  - one',
+        '  - two',
+        '# a comment',
+        '---',
+        'Body',
+    ].join('\n'));
+    assert.deepEqual(meta, {
+        title: 'Hello: World',
+        description: 'Single quotes',
+        tags: 'ai, tools',
+        categories: 'one, two',
+    });
+    assert.equal(body, 'Body');
+    assert.equal(bodyLine, 10);
+});
+
+test('front matter: entries keep file lines, including malformed and empty ones', () => {
+    const { meta, entries } = parseFrontMatter('\uFEFF---\r\ntitle: Post\r\nnot a pair\r\nsummary:\r\n---\r\n');
+    assert.deepEqual(meta, { title: 'Post' });
+    assert.deepEqual(entries, [
+        { key: 'title', value: 'Post', line: 2 },
+        { key: null, value: 'not a pair', line: 3 },
+        { key: 'summary', value: '', line: 4 },
+    ]);
+});
+
+test('a source without front matter is all body', () => {
+    assert.deepEqual(parseFrontMatter('# Just a post\n'), { meta: {}, entries: [], body: '# Just a post\n', bodyLine: 1 });
+});
+
+test('text is escaped, but entities and inline HTML pass through', () => {
+    assert.equal(renderInline('1 < 2 & 3 &mdash; <em>really</em>'), '1 &lt; 2 &amp; 3 &mdash; <em>really</em>');
+    assert.equal(renderInline('`<script>` & \\*stars\\*'), '<code>&lt;script&gt;</code> &amp; *stars*');
+    assert.equal(renderInline('[a "b"](https://example.com/?q="x")'),
+        '<a href="https://example.com/?q=&quot;x&quot;" target="_blank" rel="noopener">a "b"</a>');
+});
+
+test('only external links open in a new tab', () => {
+    assert.equal(renderInline('[post](/blog/other)'), '<a href="/blog/other">post</a>');
+    assert.equal(renderInline('[home](https://mkyang.ai/)'), '<a href="https://mkyang.ai/">home</a>');
+});
+
+test('code blocks are escaped verbatim, Markdown and all', () => {
+    assert.equal(renderMarkdown('```js\nif (a < b && **c**) {}\n```'),
+        '<pre><code class="language-js">if (a &lt; b &amp;&amp; **c**) {}</code></pre>');
+});
+
+test('block structure', () => {
+    assert.equal(renderMarkdown('# Title\n\nSome *text*.\n\n- a\n- b\n\n> quoted\n\n---'), [
+        '<h1>Title</h1>',
+        '<p>Some <em>text</em>.</p>',
+        '<ul>\n<li>a</li>\n<li>b</li>\n</ul>',
+        '<blockquote>\n<p>quoted</p>\n</blockquote>',
+        '<div class="section-divider"></div>',
+    ].join('\n\n'));
+    assert.equal(renderMarkdown('| A | B |\n|:--|--:|\n| 1 | 2 |'), [
+        '<table>',
+        '<thead><tr><th style="text-align:left">A</th><th style="text-align:right">B</th></tr></thead>',
+        '<tbody>',
+        '<tr><td style="text-align:left">1</td><td style="text-align:right">2</td></tr>',
+        '</tbody>',
+        '</table>',
+    ].join('\n'));
+});
+
+test('a bilingual body splits at lang marker lines', () => {
+    assert.deepEqual(splitLanguages('Intro\n<!-- lang:en -->\nHello\n<!-- lang:zh -->\n你好\n'),
+        { en: 'Intro\n\nHello\n', zh: '\n你好\n' });
+    assert.deepEqual(splitLanguages('<!--lang: zh-->\n你好\n<!-- lang:en -->  \nHello\n'),
+        { en: '\nHello\n', zh: '\n你好\n' });
+});
+
+test('without markers, or with one mid-line, everything is English', () => {
+    assert.deepEqual(splitLanguages('Only English\n'), { en: 'Only English\n', zh: '' });
+    assert.deepEqual(splitLanguages('See <!-- lang:zh --> here\n'), { en: 'See <!-- lang:zh --> here\n', zh: '' });
+});
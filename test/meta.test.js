@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, isDue } = require('../scripts/lib/meta');
+
+test('parseDate reads a day, an optional time and an optional UTC offset', () => {
+    assert.deepEqual(parseDate('2026-10-20'), { day: '2026-10-20', publishAt: '2026-10-20T00:00:00Z' });
+    assert.deepEqual(parseDate('2026-10-20 09:30'), { day: '2026-10-20', publishAt: '2026-10-20T09:30:00Z' });
+    assert.deepEqual(parseDate('2026-10-20T09:30:15 UTC'), { day: '2026-10-20', publishAt: '2026-10-20T09:30:15Z' });
+    // The day is kept as written; publishAt is converted to UTC
+    assert.deepEqual(parseDate('2026-10-20 07:00+08:00'), { day: '2026-10-20', publishAt: '2026-10-19T23:00:00Z' });
+    assert.deepEqual(parseDate('2026-10-20 22:00 -0500'), { day: '2026-10-20', publishAt: '2026-10-21T03:00:00Z' });
+});
+
+test('parseDate rejects impossible dates, times and offsets', () => {
+    for (const value of ['', undefined, '2026-02-30', '2026-13-01', '2026-10-20 24:00', '2026-10-20 09:60',
+        '2026-10-20 09:00+15:00', '20 Oct 2026', '2026-10-20 9:00']) {
+        assert.equal(parseDate(value), null, String(value));
+    }
+});
+
+test('isDue: posts dated in the future are scheduled until their time comes', () => {
+    const { publishAt } = parseDate('2026-10-20 09:00+08:00');
+    assert.equal(isDue({ publishAt }, Date.parse('2026-10-20T00:59:59Z')), false);
+    assert.equal(isDue({ publishAt }, Date.parse('2026-10-20T01:00:00Z')), true);
+    assert.equal(isDue({}, 0), true); // no parsable date: never held back
+});
@@ -0,0 +1,78 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimit, clientIp } from '../api/_lib/rate-limit.js';
+
+delete process.env.KV_REST_API_URL;
+delete process.env.UPSTASH_REDIS_REST_URL;
+delete process.env.RATE_LIMIT_STORE;
+
+function mockRes() {
+    const headers = {};
+    return { headers, setHeader: (key, value) => { headers[key] = value; } };
+}
+
+let now = Date.parse('2026-10-01T00:00:00Z');
+mock.method(Date, 'now', () => now);
+afterEach(() => { now += 24 * 60 * 60 * 1000; }); // every test starts with empty windows
+
+test('allows `limit` hits per window, then blocks with Retry-After', async () => {
+    const rule = { key: 'test:burst', limit: 3, windowMs: 60 * 1000 };
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await rateLimit(mockRes(), [rule])).limited, false);
+    }
+    const res = mockRes();
+    const result = await rateLimit(res, [rule]);
+    assert.deepEqual(result, { limited: true, retryAfter: 60 });
+    assert.equal(res.headers['Retry-After'], '60');
+    assert.equal(res.headers['RateLimit'], 'limit=3, remaining=0, reset=60');
+    assert.equal(res.headers['RateLimit-Policy'], '3;w=60');
+});
+
+test('the window slides: old hits stop counting one by one', async () => {
+    const rule = { key: 'test:sliding', limit: 2, windowMs: 60 * 1000 };
+    await rateLimit(mockRes(), [rule]);
+    now += 30 * 1000;
+    await rateLimit(mockRes(), [rule]);
+    assert.equal((await rateLimit(mockRes(), [rule])).limited, true);
+
+    now += 31 * 1000; // the first hit has left the window, the blocked one hasn't
+    assert.equal((await rateLimit(mockRes(), [rule])).limited, true);
+    now += 60 * 1000;
+    assert.equal((await rateLimit(mockRes(), [rule])).limited, false);
+});
+
+test('keys are counted separately and the tightest rule is reported', async () => {
+    const ip = { key: 'test:ip:1.2.3.4', limit: 5, windowMs: 60 * 1000 };
+    const email = { key: 'test:email:a@example.com', limit: 1, windowMs: 60 * 60 * 1000 };
+    assert.equal((await rateLimit(mockRes(), [ip, email])).limited, false);
+
+    const res = mockRes();
+    assert.deepEqual(await rateLimit(res, [ip, email]), { limited: true, retryAfter: 3600 });
+    assert.equal(res.headers['RateLimit-Policy'], '5;w=60, 1;w=3600');
+
+    const other = { ...email, key: 'test:email:b@example.com' };
+    assert.equal((await rateLimit(mockRes(), [ip, other])).limited, false);
+});
+
+test('a second call for the same response keeps the rules of the first in the headers', async () => {
+    const ip = { key: 'test:ip:5.6.7.8', limit: 10, windowMs: 60 * 60 * 1000 };
+    const email = { key: 'test:email:c@example.com', limit: 3, windowMs: 60 * 60 * 1000 };
+    const res = mockRes();
+    await rateLimit(res, [ip]);
+    await rateLimit(res, [email]);
+    assert.equal(res.headers['RateLimit-Policy'], '10;w=3600, 3;w=3600');
+    assert.equal(res.headers['RateLimit'], 'limit=3, remaining=2, reset=3600');
+
+    // Other responses start from their own rules
+    const next = mockRes();
+    await rateLimit(next, [ip]);
+    assert.equal(next.headers['RateLimit-Policy'], '10;w=3600');
+    assert.equal(next.headers['RateLimit'], 'limit=10, remaining=8, reset=3600');
+});
+
+test('clientIp trusts platform headers and only the last x-forwarded-for hop', () => {
+    assert.equal(clientIp({ headers: { 'x-vercel-forwarded-for': '9.9.9.9, 1.1.1.1', 'x-real-ip': '8.8.8.8' } }), '9.9.9.9');
+    assert.equal(clientIp({ headers: { 'x-real-ip': '8.8.8.8' } }), '8.8.8.8');
+    assert.equal(clientIp({ headers: { 'x-forwarded-for': 'spoofed, 7.7.7.7' } }), '7.7.7.7');
+    assert.equal(clientIp({ headers: {}, socket: { remoteAddress: '::1' } }), '::1');
+});
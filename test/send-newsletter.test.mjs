@@ -0,0 +1,174 @@
+import { test, mock, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The local backends: subscribers and deliveries in JSON files, mail in an
+// outbox directory. Set before the handler is loaded, which reads some of it
+// at import time.
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'send-newsletter-'));
+const SUBSCRIBERS = path.join(dir, 'subscribers.json');
+const DELIVERIES = path.join(dir, 'deliveries.json');
+const OUTBOX = path.join(dir, 'outbox');
+Object.assign(process.env, {
+    SUBSCRIBER_STORE: 'file',
+    SUBSCRIBER_STORE_FILE: SUBSCRIBERS,
+    DELIVERY_LOG: 'file',
+    DELIVERY_LOG_FILE: DELIVERIES,
+    EMAIL_TRANSPORT: 'outbox',
+    OUTBOX_DIR: OUTBOX,
+    SEND_BATCH_SIZE: '2',
+    NEWSLETTER_SECRET: 'newsletter-secret',
+    UNSUBSCRIBE_SECRET: 'test-secret',
+});
+delete process.env.UNSUBSCRIBE_SECRET_PREVIOUS;
+
+const { default: handler } = await import('../api/send-newsletter.js');
+
+const SLUG = 'token-is-class.html';
+const POST_HTML = await fs.readFile(new URL(`../blog/${SLUG}`, import.meta.url), 'utf-8');
+
+// The post is tagged thinking, ai, tools; it has a Chinese title
+const SUBSCRIBERS_FIXTURE = [
+    { email: 'a@example.com', status: 'active', frequency: 'instant', language: 'en', tags: [] },
+    { email: 'b@example.com', status: 'active', frequency: 'instant', language: 'zh', tags: ['AI'] },
+    { email: 'c@example.com', status: 'active', frequency: 'instant', language: 'en', tags: ['crypto'] },
+    { email: 'd@example.com', status: 'active', frequency: 'weekly', language: 'en', tags: [] },
+    { email: 'e@example.com', status: 'unsubscribed', frequency: 'instant', language: 'en', tags: [] },
+    { email: 'f@example.com', status: 'active', frequency: 'instant', language: 'en', tags: ['tools'] },
+    { email: 'g@example.com', status: 'active', frequency: 'instant', language: 'en', tags: [] },
+].map((s, i) => ({ id: `sub-${i}`, subscribedAt: '2026-01-01T00:00:00.000Z', ...s }));
+
+mock.method(globalThis, 'fetch', async url => {
+    assert.equal(url, `https://mkyang.ai/blog/${SLUG}`);
+    return new Response(POST_HTML);
+});
+mock.method(console, 'log', () => {});
+
+beforeEach(async () => {
+    await fs.rm(DELIVERIES, { force: true });
+    await fs.rm(OUTBOX, { recursive: true, force: true });
+    await fs.writeFile(SUBSCRIBERS, JSON.stringify(SUBSCRIBERS_FIXTURE));
+});
+
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function send(body = {}) {
+    const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+    };
+    await handler({ method: 'POST', body: { slug: SLUG, secret: 'newsletter-secret', ...body } }, res);
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    return res.body;
+}
+
+// { to: subject } for every message in the outbox
+async function outbox() {
+    const files = await fs.readdir(OUTBOX).catch(() => []);
+    const mail = {};
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const message = JSON.parse(await fs.readFile(path.join(OUTBOX, file), 'utf-8'));
+        assert.equal(mail[message.to], undefined, `${message.to} was mailed twice`);
+        mail[message.to] = message.subject;
+    }
+    return mail;
+}
+
+async function deliveries() {
+    const log = JSON.parse(await fs.readFile(DELIVERIES, 'utf-8'))['token-is-class'] || {};
+    return Object.fromEntries(Object.entries(log).map(([email, entry]) => [email, entry.status]));
+}
+
+test('sends in batches to the subscribers whose frequency and tags want the post', async () => {
+    const first = await send();
+    assert.equal(first.sent, 2);
+    assert.equal(first.cursor, 'b@example.com');
+
+    const second = await send({ cursor: first.cursor });
+    assert.equal(second.sent, 2);
+    assert.equal(second.cursor, null);
+
+    assert.deepEqual(Object.keys(await outbox()).sort(), ['a@example.com', 'b@example.com', 'f@example.com', 'g@example.com']);
+    assert.deepEqual(await deliveries(), {
+        'a@example.com': 'sent', 'b@example.com': 'sent', 'f@example.com': 'sent', 'g@example.com': 'sent',
+    });
+});
+
+test('each subscriber gets the post in their language', async () => {
+    await send();
+    const mail = await outbox();
+    assert.equal(mail['a@example.com'], 'New Post: Token Is Class');
+    assert.match(mail['b@example.com'], /^新文章.*Token 即阶级$/);
+});
+
+test('resumes after the cursor', async () => {
+    const result = await send({ cursor: 'b@example.com' });
+    assert.equal(result.sent, 2);
+    assert.equal(result.cursor, null);
+    assert.deepEqual(Object.keys(await outbox()).sort(), ['f@example.com', 'g@example.com']);
+});
+
+test('skips addresses the delivery log has as sent or sending, and retries failed ones', async () => {
+    await fs.writeFile(DELIVERIES, JSON.stringify({
+        'token-is-class': {
+            'a@example.com': { status: 'sent' },
+            'b@example.com': { status: 'sending' },
+            'f@example.com': { status: 'failed', error: 'Timeout' },
+        },
+    }));
+    const result = await send();
+    assert.equal(result.skipped, 2);
+    assert.equal(result.sent, 2);
+    assert.equal(result.cursor, null);
+    assert.deepEqual(Object.keys(await outbox()).sort(), ['f@example.com', 'g@example.com']);
+    assert.equal((await deliveries())['b@example.com'], 'sending');
+});
+
+test('once everyone has it, another run sends nothing and reports done', async () => {
+    let cursor;
+    do {
+        ({ cursor } = await send(cursor ? { cursor } : {}));
+    } while (cursor);
+    await fs.rm(OUTBOX, { recursive: true, force: true });
+
+    const result = await send();
+    assert.equal(result.sent, 0);
+    assert.equal(result.skipped, 4);
+    assert.equal(result.cursor, null);
+    assert.deepEqual(await outbox(), {});
+});
+
+test('a hard bounce is logged as failed and marks the subscriber bounced', async () => {
+    await fs.writeFile(SUBSCRIBERS, JSON.stringify([
+        { id: 'sub-x', email: 'gone@mail.invalid', status: 'active', frequency: 'instant', language: 'en', tags: [] },
+    ]));
+    const result = await send();
+    assert.equal(result.failed, 1);
+    assert.equal(result.bounced, 1);
+    assert.equal((await deliveries())['gone@mail.invalid'], 'failed');
+    const [subscriber] = JSON.parse(await fs.readFile(SUBSCRIBERS, 'utf-8'));
+    assert.equal(subscriber.status, 'bounced');
+});
+
+test('the first batch expires sign-ups whose confirmation link has run out', async () => {
+    const fresh = new Date().toISOString();
+    await fs.writeFile(SUBSCRIBERS, JSON.stringify([
+        ...SUBSCRIBERS_FIXTURE,
+        { id: 'sub-stale', email: 'stale@example.com', status: 'pending', subscribedAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'sub-fresh', email: 'fresh@example.com', status: 'pending', subscribedAt: fresh },
+    ]));
+    await send();
+    const statuses = Object.fromEntries(JSON.parse(await fs.readFile(SUBSCRIBERS, 'utf-8')).map(s => [s.email, s.status]));
+    assert.equal(statuses['stale@example.com'], 'expired');
+    assert.equal(statuses['fresh@example.com'], 'pending');
+});
+
+test('a dry run reports the recipients without sending or logging', async () => {
+    const result = await send({ dryRun: true });
+    assert.equal(result.recipients, 4);
+    assert.equal(result.subject, 'New Post: Token Is Class');
+    assert.deepEqual(await outbox(), {});
+    await assert.rejects(fs.access(DELIVERIES));
+});
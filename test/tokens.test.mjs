@@ -0,0 +1,61 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { signToken, verifyToken, hasTokenSecret } from '../api/_lib/tokens.js';
+
+const EMAIL = 'reader@example.com';
+
+beforeEach(() => {
+    process.env.UNSUBSCRIBE_SECRET = 'current-secret';
+    delete process.env.UNSUBSCRIBE_SECRET_PREVIOUS;
+});
+
+test('a signed token verifies for its purpose and email only', () => {
+    const token = signToken('unsubscribe', EMAIL);
+    assert.deepEqual(verifyToken('unsubscribe', EMAIL, token), { ok: true, expired: false });
+    assert.equal(verifyToken('preferences', EMAIL, token).ok, false);
+    assert.equal(verifyToken('unsubscribe', 'other@example.com', token).ok, false);
+});
+
+test('tampered and malformed tokens are rejected', () => {
+    const token = signToken('confirm', EMAIL);
+    const [version, kid, exp, sig] = token.split('.');
+    const later = (parseInt(exp, 36) + 3600).toString(36);
+    assert.equal(verifyToken('confirm', EMAIL, [version, kid, later, sig].join('.')).ok, false);
+    assert.equal(verifyToken('confirm', EMAIL, `${token}.extra`).ok, false);
+    assert.equal(verifyToken('confirm', EMAIL, undefined).ok, false);
+    assert.equal(verifyToken('confirm', EMAIL, '').ok, false);
+});
+
+test('an expired token is reported as expired, not just invalid', () => {
+    const token = signToken('confirm', EMAIL, { ttlMs: -1000 });
+    assert.deepEqual(verifyToken('confirm', EMAIL, token), { ok: false, expired: true });
+});
+
+test('tokens from a rotated-out secret verify while it is listed as previous', () => {
+    const token = signToken('unsubscribe', EMAIL);
+    process.env.UNSUBSCRIBE_SECRET = 'new-secret';
+    assert.equal(verifyToken('unsubscribe', EMAIL, token).ok, false);
+
+    process.env.UNSUBSCRIBE_SECRET_PREVIOUS = 'older-secret, current-secret';
+    assert.equal(verifyToken('unsubscribe', EMAIL, token).ok, true);
+    // New tokens are signed with the new secret
+    const fresh = signToken('unsubscribe', EMAIL);
+    assert.notEqual(fresh.split('.')[1], token.split('.')[1]);
+    assert.equal(verifyToken('unsubscribe', EMAIL, fresh).ok, true);
+});
+
+test('pre-v1 links still work for unsubscribe and preferences only', () => {
+    const legacy = message => createHmac('sha256', 'current-secret').update(message).digest('hex').slice(0, 16);
+    assert.equal(verifyToken('unsubscribe', EMAIL, legacy(EMAIL)).ok, true);
+    assert.equal(verifyToken('preferences', EMAIL, legacy(`preferences:${EMAIL}`)).ok, true);
+    assert.equal(verifyToken('confirm', EMAIL, legacy(EMAIL)).ok, false);
+});
+
+test('nothing signs or verifies without a secret', () => {
+    const token = signToken('unsubscribe', EMAIL);
+    delete process.env.UNSUBSCRIBE_SECRET;
+    assert.equal(hasTokenSecret(), false);
+    assert.equal(verifyToken('unsubscribe', EMAIL, token).ok, false);
+    assert.throws(() => signToken('unsubscribe', EMAIL), /UNSUBSCRIBE_SECRET/);
+});